@@ -3,12 +3,16 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const MagneticaSecretsVault = require('./secrets-vault');
+const { EnterpriseLogger } = require('../services/enterprise-logger');
 
 class MagneticaAPIKeysManager {
-  constructor() {
+  constructor(logger = new EnterpriseLogger({ context: { component: 'api-keys-manager' } })) {
+    this.logger = logger;
     this.configPath = path.join(process.cwd(), '.env');
     this.templatePath = path.join(process.cwd(), 'env.template');
+    this.vault = null;
+    this.probeCache = new Map();
     this.required_keys = [
       'OPENAI_API_KEY',
       'PINECONE_API_KEY',
@@ -20,54 +24,146 @@ class MagneticaAPIKeysManager {
   }
 
   init() {
-    console.log('🔐 Magnetica API Keys Manager - Inizializzazione...');
-    
-    // Load environment variables
+    // .env first: LOG_LEVEL and LOG_SINKS may live there
     this.loadEnvironmentVariables();
-    
-    // Check if .env exists, if not create from template
-    if (!fs.existsSync(this.configPath)) {
-      this.createConfigFromTemplate();
+    this.logger.info('🔐 Magnetica API Keys Manager - Inizializzazione...');
+
+    // Credenziali dal vault cifrato, se configurato
+    this.openVault();
+
+    if (!fs.existsSync(this.configPath) && !this.vault) {
+      this.reportMissingConfiguration();
     }
     
     // Validate required keys
     const validation = this.validateRequiredKeys();
     
     if (validation.isValid) {
-      console.log('✅ Tutte le API key sono configurate correttamente');
+      this.logger.info('✅ Tutte le API key sono configurate correttamente');
       this.isInitialized = true;
     } else {
       this.handleMissingKeys(validation.missing);
     }
   }
 
+  // Logged by init(): the logger is configured from these variables
   loadEnvironmentVariables() {
+    require('dotenv').config();
+  }
+
+  // Il .env non viene più creato dal template: i segreti in chiaro restano
+  // una scelta esplicita
+  reportMissingConfiguration() {
+    this.logger.info('ℹ️  Nessun file .env né vault dei segreti trovato', {
+      settings: `copia ${path.basename(this.templatePath)} in .env`,
+      credentials: 'imposta VAULT_MASTER_KEY e usa `npm run setup-keys -- set <NOME>`'
+    });
+  }
+
+  static vaultPath() {
+    return process.env.SECRETS_VAULT_PATH || path.join(process.cwd(), 'config', 'secrets', 'vault.json');
+  }
+
+  openVault() {
+    if (!process.env.VAULT_MASTER_KEY) {
+      return;
+    }
+
     try {
-      require('dotenv').config();
-      console.log('📄 File .env caricato con successo');
+      this.vault = new MagneticaSecretsVault(MagneticaAPIKeysManager.vaultPath(), process.env.VAULT_MASTER_KEY);
+      this.logger.info('🔒 Vault dei segreti sbloccato');
     } catch (error) {
-      console.log('ℹ️  File .env non trovato, verrà creato automaticamente');
+      this.logger.error('❌ Vault dei segreti non disponibile', { error: error.message });
     }
   }
 
-  createConfigFromTemplate() {
+  isPlaceholder(value) {
+    return !value || value.includes('your-') || value.includes('here');
+  }
+
+  reloadVault() {
     try {
-      if (fs.existsSync(this.templatePath)) {
-        fs.copyFileSync(this.templatePath, this.configPath);
-        console.log('📋 File .env creato dal template');
-        console.log('⚠️  ATTENZIONE: Configura le tue API key nel file .env prima di continuare');
-      }
+      this.vault.reloadIfChanged();
     } catch (error) {
-      console.error('❌ Errore nella creazione del file .env:', error.message);
+      this.logger.error('❌ Ricarica del vault fallita', { error: error.message });
+    }
+  }
+
+  // Vault first; a secret the vault manages never falls back to .env, so a
+  // revoked key stays revoked
+  getSecret(name) {
+    if (this.vault) {
+      this.reloadVault();
+      if (this.vault.has(name)) {
+        return this.vault.get(name);
+      }
+    }
+    return process.env[name];
+  }
+
+  // Active key first, then the previous keys still in their rotation grace
+  // period
+  getSecretCandidates(name) {
+    if (this.vault) {
+      this.reloadVault();
+      if (this.vault.has(name)) {
+        return this.vault.getUsableValues(name);
+      }
+    }
+    return [process.env[name]];
+  }
+
+  // `send(apiKey)` performs one request and resolves to its fetch Response.
+  // A 401/403 is retried with each grace-period key in turn, so a rotation
+  // the provider has not activated yet does not break outbound calls; the
+  // last response is returned as is.
+  async withSecretFallback(name, send) {
+    const candidates = this.getSecretCandidates(name).filter(value => !this.isPlaceholder(value));
+    if (candidates.length === 0) {
+      return send(this.getSecret(name));
     }
+
+    let response;
+    for (const [index, secret] of candidates.entries()) {
+      response = await send(secret, index);
+      if ((response.status !== 401 && response.status !== 403) || index === candidates.length - 1) {
+        return response;
+      }
+      if (response.body) await response.body.cancel().catch(() => {});
+      this.logger.warn('🔑 Chiave attiva rifiutata dal provider, provo una chiave in periodo di grazia', {
+        credential: name,
+        http_status: response.status,
+        rejected: MagneticaSecretsVault.fingerprintSecret(secret).fingerprint
+      });
+    }
+    return response;
+  }
+
+  // Fingerprint of the key in use per credential, never the key itself
+  getSecretsStatus() {
+    const vaultStatus = this.vault ? this.vault.status() : {};
+    const status = {};
+
+    for (const name of MagneticaSecretsVault.MANAGED_SECRETS) {
+      if (this.vault && this.vault.has(name)) {
+        status[name] = { source: 'vault', ...vaultStatus[name] };
+        continue;
+      }
+
+      const value = process.env[name];
+      status[name] = this.isPlaceholder(value)
+        ? { source: 'missing', active: null, grace: [] }
+        : { source: 'env', active: { version: null, ...MagneticaSecretsVault.fingerprintSecret(value) }, grace: [] };
+    }
+
+    return status;
   }
 
   validateRequiredKeys() {
     const missing = [];
     
     for (const key of this.required_keys) {
-      const value = process.env[key];
-      if (!value || value.includes('your-') || value.includes('here')) {
+      if (this.isPlaceholder(this.getSecret(key))) {
         missing.push(key);
       }
     }
@@ -79,31 +175,22 @@ class MagneticaAPIKeysManager {
   }
 
   handleMissingKeys(missing) {
-    console.log('\n🚨 CONFIGURAZIONE API KEY RICHIESTA 🚨');
-    console.log('================================================');
-    console.log('Le seguenti API key devono essere configurate:');
-    
-    missing.forEach(key => {
-      console.log(`❌ ${key}: ${this.getKeyDescription(key)}`);
-    });
-    
-    console.log('\n📝 ISTRUZIONI:');
-    console.log('1. Apri il file .env nella root del progetto');
-    console.log('2. Sostituisci i placeholder con le tue API key reali:');
-    
-    missing.forEach(key => {
-      console.log(`   ${key}=la-tua-api-key-qui`);
+    const demoMode = process.env.ENABLE_DEMO_MODE === 'true';
+
+    this.logger.warn('🚨 CONFIGURAZIONE API KEY RICHIESTA', {
+      missing: missing.map(key => ({ key, description: this.getKeyDescription(key) })),
+      instructions: [
+        ...missing.map(key => `npm run setup-keys -- set ${key}`),
+        'in alternativa configurala nel file .env (in chiaro)',
+        'riavvia il server dopo la configurazione'
+      ],
+      links: { openai: 'https://platform.openai.com/api-keys', pinecone: 'https://app.pinecone.io/' },
+      demoMode
     });
-    
-    console.log('\n🔗 Dove ottenere le API key:');
-    console.log('• OpenAI: https://platform.openai.com/api-keys');
-    console.log('• Pinecone: https://app.pinecone.io/');
-    
-    console.log('\n🔄 Riavvia il server dopo la configurazione');
-    
+
     // Non bloccare l'avvio in modalità demo
-    if (process.env.ENABLE_DEMO_MODE === 'true') {
-      console.log('\n🧪 Modalità DEMO attiva - il server continuerà senza API key reali');
+    if (demoMode) {
+      this.logger.info('🧪 Modalità DEMO attiva - il server continuerà senza API key reali');
       this.isInitialized = true;
     }
   }
@@ -119,68 +206,185 @@ class MagneticaAPIKeysManager {
     return descriptions[key] || 'API key richiesta per il funzionamento';
   }
 
-  // Verifica se le API key sono valide
-  async validateAPIKeys() {
-    const results = {};
-    
-    // Test OpenAI
-    if (process.env.OPENAI_API_KEY && !process.env.OPENAI_API_KEY.includes('your-')) {
-      try {
-        results.openai = await this.testOpenAIConnection();
-      } catch (error) {
-        results.openai = { valid: false, error: error.message };
-      }
+  // Verifica le credenziali con chiamate reali ai provider. Ogni risultato:
+  // { status: ok|unauthorized|unreachable|misconfigured|error, valid,
+  //   latency_ms, http_status, message, base_url, checked_at, cached }
+  async validateAPIKeys({ refresh = false } = {}) {
+    const openaiConfig = this.getOpenAIConfig();
+    const pineconeConfig = this.getPineconeConfig();
+    const [openai, pinecone, mohd] = await Promise.all([
+      this.cachedProbe('openai', 'OPENAI_API_KEY', `${openaiConfig.baseUrl} ${openaiConfig.model}`, refresh,
+        () => this.testOpenAIConnection()),
+      this.cachedProbe('pinecone', 'PINECONE_API_KEY', `${pineconeConfig.baseUrl} ${pineconeConfig.indexName}`, refresh,
+        () => this.testPineconeConnection()),
+      this.cachedProbe('mohd', 'MOHD_API_KEY', this.getMOHDConfig().baseUrl, refresh, () => this.testMOHDConnection())
+    ]);
+
+    return { openai, pinecone, mohd };
+  }
+
+  getProbeSettings() {
+    return {
+      timeoutMs: parseInt(process.env.CREDENTIAL_PROBE_TIMEOUT_MS, 10) || 5000,
+      ttlMs: parseInt(process.env.CREDENTIAL_PROBE_TTL_MS, 10) || 5 * 60 * 1000
+    };
+  }
+
+  // Results are cached per provider, key and target (base URL plus model or
+  // index): a rotated key or a repointed base URL is probed again
+  async cachedProbe(provider, secretName, target, refresh, probe) {
+    const secret = this.getSecret(secretName);
+    const fingerprint = this.isPlaceholder(secret) ? 'missing' : MagneticaSecretsVault.fingerprintSecret(secret).fingerprint;
+    const cacheKey = `${fingerprint} ${target}`;
+    const cached = this.probeCache.get(provider);
+
+    if (!refresh && cached && cached.cacheKey === cacheKey && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
     }
-    
-    // Test Pinecone
-    if (process.env.PINECONE_API_KEY && !process.env.PINECONE_API_KEY.includes('your-')) {
-      try {
-        results.pinecone = await this.testPineconeConnection();
-      } catch (error) {
-        results.pinecone = { valid: false, error: error.message };
-      }
+
+    const result = await probe();
+    this.probeCache.set(provider, { cacheKey, result, expiresAt: Date.now() + this.getProbeSettings().ttlMs });
+    return { ...result, cached: false };
+  }
+
+  probeResult(status, fields = {}) {
+    return {
+      status,
+      valid: status === 'ok',
+      latency_ms: null,
+      http_status: null,
+      checked_at: new Date().toISOString(),
+      ...fields
+    };
+  }
+
+  // One HTTP GET with timeout; maps the outcome onto the probe statuses.
+  // `headers(apiKey)` builds the headers for each key of `secretName` tried
+  // (see withSecretFallback). `onSuccess(body)` may refine a 2xx into
+  // details or another status.
+  async probeEndpoint(baseUrl, pathname, secretName, headers, { notFound, onSuccess } = {}) {
+    let url;
+    try {
+      url = new URL(baseUrl.replace(/\/+$/, '') + pathname);
+    } catch (error) {
+      return this.probeResult('misconfigured', { base_url: baseUrl, message: `Base URL non valida: ${baseUrl}` });
     }
-    
-    return results;
+
+    const started = Date.now();
+    let response;
+    let graceKey = false;
+    try {
+      response = await this.withSecretFallback(secretName, (apiKey, index) => {
+        graceKey = index > 0;
+        return fetch(url, {
+          headers: headers(apiKey),
+          signal: AbortSignal.timeout(this.getProbeSettings().timeoutMs)
+        });
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      return this.probeResult('unreachable', {
+        base_url: baseUrl,
+        latency_ms: Date.now() - started,
+        message: timedOut
+          ? `Nessuna risposta entro ${this.getProbeSettings().timeoutMs}ms`
+          : `Connessione fallita: ${(error.cause && (error.cause.code || error.cause.message)) || error.message}`
+      });
+    }
+
+    const fields = { base_url: baseUrl, latency_ms: Date.now() - started, http_status: response.status };
+
+    if (response.status === 401 || response.status === 403) {
+      return this.probeResult('unauthorized', { ...fields, message: 'Credenziali rifiutate dal provider' });
+    }
+    if (response.status === 404 && notFound) {
+      return this.probeResult('misconfigured', { ...fields, message: notFound });
+    }
+    if (!response.ok) {
+      return this.probeResult('error', { ...fields, message: `Risposta inattesa HTTP ${response.status}` });
+    }
+
+    const body = await response.json().catch(() => null);
+    const message = graceKey
+      ? 'Chiave attiva rifiutata: credenziali verificate con una chiave in periodo di grazia'
+      : 'Credenziali verificate';
+    return this.probeResult('ok', { ...fields, message, grace_key: graceKey, ...(onSuccess ? onSuccess(body) : {}) });
   }
 
   async testOpenAIConnection() {
-    // Test base - verifica formato API key
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey.startsWith('sk-')) {
-      return { valid: false, error: 'Formato API key OpenAI non valido' };
+    const { apiKey, organization, baseUrl, model } = this.getOpenAIConfig();
+    if (this.isPlaceholder(apiKey)) {
+      return this.probeResult('misconfigured', { base_url: baseUrl, message: 'OPENAI_API_KEY non configurata' });
     }
-    
-    return { valid: true, message: 'Formato API key valido' };
+
+    const headers = key => (organization && !this.isPlaceholder(organization)
+      ? { Authorization: `Bearer ${key}`, 'OpenAI-Organization': organization }
+      : { Authorization: `Bearer ${key}` });
+
+    return this.probeEndpoint(baseUrl, '/models', 'OPENAI_API_KEY', headers, {
+      onSuccess: body => ({
+        details: { model, model_available: !!body && Array.isArray(body.data) && body.data.some(item => item.id === model) }
+      })
+    });
   }
 
   async testPineconeConnection() {
-    // Test base - verifica presenza configurazione
-    const apiKey = process.env.PINECONE_API_KEY;
-    const environment = process.env.PINECONE_ENVIRONMENT;
-    
-    if (!apiKey || !environment) {
-      return { valid: false, error: 'Configurazione Pinecone incompleta' };
+    const { apiKey, indexName, baseUrl } = this.getPineconeConfig();
+    if (this.isPlaceholder(apiKey)) {
+      return this.probeResult('misconfigured', { base_url: baseUrl, message: 'PINECONE_API_KEY non configurata' });
     }
-    
-    return { valid: true, message: 'Configurazione Pinecone completa' };
+
+    return this.probeEndpoint(baseUrl, `/indexes/${encodeURIComponent(indexName)}`, 'PINECONE_API_KEY', key => ({
+      'Api-Key': key,
+      'X-Pinecone-API-Version': '2024-07'
+    }), {
+      notFound: `Indice Pinecone '${indexName}' non trovato`,
+      onSuccess: body => ({
+        details: {
+          index: indexName,
+          dimension: body && body.dimension,
+          ready: !!(body && body.status && body.status.ready)
+        }
+      })
+    });
+  }
+
+  async testMOHDConnection() {
+    const { apiKey, baseUrl } = this.getMOHDConfig();
+    if (this.isPlaceholder(apiKey)) {
+      return this.probeResult('misconfigured', { base_url: baseUrl, message: 'MOHD_API_KEY non configurata' });
+    }
+
+    return this.probeEndpoint(baseUrl, '/ping', 'MOHD_API_KEY', key => ({ Authorization: `Bearer ${key}` }));
   }
 
   // Metodi per accesso sicuro alle API key
   getOpenAIConfig() {
     return {
-      apiKey: process.env.OPENAI_API_KEY,
+      apiKey: this.getSecret('OPENAI_API_KEY'),
       organization: process.env.OPENAI_ORG_ID,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
       model: process.env.OPENAI_MODEL || 'gpt-4-vision-preview',
-      maxTokens: parseInt(process.env.MAX_TOKENS_PER_REQUEST) || 4000
+      maxTokens: parseInt(process.env.MAX_TOKENS_PER_REQUEST) || 4000,
+      embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-large',
+      embeddingDimensions: parseInt(process.env.PINECONE_DIMENSIONS) || 3072,
+      maxEmbeddingsPerBatch: parseInt(process.env.MAX_EMBEDDINGS_PER_BATCH) || 100
     };
   }
 
   getPineconeConfig() {
     return {
-      apiKey: process.env.PINECONE_API_KEY,
+      apiKey: this.getSecret('PINECONE_API_KEY'),
       environment: process.env.PINECONE_ENVIRONMENT,
-      indexName: process.env.PINECONE_INDEX_NAME || 'magnetica-vde-vectors'
+      indexName: process.env.PINECONE_INDEX_NAME || 'magnetica-vde-vectors',
+      baseUrl: process.env.PINECONE_API_BASE_URL || 'https://api.pinecone.io'
+    };
+  }
+
+  getMOHDConfig() {
+    return {
+      apiKey: this.getSecret('MOHD_API_KEY'),
+      baseUrl: process.env.MOHD_API_BASE_URL || 'https://api.mohd.it/v1'
     };
   }
 
@@ -201,6 +405,7 @@ class MagneticaAPIKeysManager {
       requiredKeys: this.required_keys.length,
       configuredKeys: this.required_keys.length - validation.missing.length,
       missingKeys: validation.missing,
+      secretsVault: this.vault ? 'unlocked' : (process.env.VAULT_MASTER_KEY ? 'unavailable' : 'disabled'),
       demoMode: process.env.ENABLE_DEMO_MODE === 'true'
     };
   }
@@ -208,19 +413,16 @@ class MagneticaAPIKeysManager {
   // Genera report di configurazione
   generateConfigurationReport() {
     const status = this.getConfigurationStatus();
-    
-    console.log('\n📊 MAGNETICA VDE - REPORT CONFIGURAZIONE');
-    console.log('=========================================');
-    console.log(`🔧 Stato: ${status.isConfigured ? '✅ Configurato' : '⚠️  Configurazione incompleta'}`);
-    console.log(`🔑 API Key: ${status.configuredKeys}/${status.requiredKeys} configurate`);
-    
-    if (status.missingKeys.length > 0) {
-      console.log(`❌ Mancanti: ${status.missingKeys.join(', ')}`);
-    }
-    
-    console.log(`🧪 Demo Mode: ${status.demoMode ? 'Abilitato' : 'Disabilitato'}`);
-    console.log(`💰 Limite costi giornaliero: $${this.getCostLimits().dailyLimit}`);
-    console.log('=========================================\n');
+
+    this.logger.info('📊 MAGNETICA VDE - REPORT CONFIGURAZIONE', {
+      configured: status.isConfigured,
+      configuredKeys: status.configuredKeys,
+      requiredKeys: status.requiredKeys,
+      missingKeys: status.missingKeys,
+      secretsVault: status.secretsVault,
+      demoMode: status.demoMode,
+      dailyCostLimit: this.getCostLimits().dailyLimit
+    });
   }
 }
 
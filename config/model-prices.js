@@ -0,0 +1,30 @@
+// MAGNETICA VDE PLATFORM - MODEL PRICES
+// USD list prices per model used by the cost ledger. Token prices are per
+// 1K tokens; `image` is the flat price per analysed image, charged only
+// when the call reports no input tokens (reported prompt_tokens already
+// include the image tokens).
+
+const ModelPrices = {
+  'gpt-4o': { input_per_1k: 0.0025, output_per_1k: 0.01, image: 0.001275 },
+  'gpt-4o-mini': { input_per_1k: 0.00015, output_per_1k: 0.0006, image: 0.001275 },
+  'gpt-4-vision-preview': { input_per_1k: 0.01, output_per_1k: 0.03, image: 0.00765 },
+  'text-embedding-3-large': { input_per_1k: 0.00013 },
+  'text-embedding-3-small': { input_per_1k: 0.00002 },
+  // Local stub clients: tracked, free
+  stub: {}
+};
+
+// Unknown models are priced like the most expensive vision model rather
+// than silently free
+const FALLBACK_MODEL = 'gpt-4-vision-preview';
+
+function priceCall({ model, input_tokens = 0, output_tokens = 0, images = 0 }) {
+  const price = ModelPrices[model] || ModelPrices[FALLBACK_MODEL];
+  const cost = (input_tokens / 1000) * (price.input_per_1k || 0) +
+    (output_tokens / 1000) * (price.output_per_1k || 0) +
+    (input_tokens > 0 ? 0 : images * (price.image || 0));
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = { ModelPrices, FALLBACK_MODEL, priceCall };
@@ -0,0 +1,437 @@
+// MAGNETICA VDE PLATFORM - REQUEST SCHEMAS
+// Declarative JSON Schemas for every route's headers, params, query and body
+
+const { SignalCatalogue, buildSignalsSchema } = require('./signal-catalogue');
+const SessionSignalAggregator = require('../services/session-signal-aggregator');
+const MagneticaAuthService = require('../services/auth-service');
+const MagneticaCatalogueIngestion = require('../services/catalogue-ingestion');
+const MagneticaWebhookDispatcher = require('../services/webhook-dispatcher');
+const { UsageTiers } = require('./usage-tiers');
+
+const SIGNAL_NAMES = Object.keys(SignalCatalogue);
+const CLASSIFICATION_MODES = ['strict', 'tolerant'];
+
+const SESSION_ID = { type: 'string', pattern: '^[A-Za-z0-9_.:-]{1,128}$' };
+const ITEM_ID = { type: 'string', pattern: '^[a-z0-9_]+$' };
+const TEXT = { type: 'string', minLength: 1 };
+const SEED = { type: ['string', 'integer'], maxLength: 64 };
+const SIGNAL_NAME = { type: 'string', enum: SIGNAL_NAMES };
+const WEBHOOK_ID = { type: 'string', pattern: '^wh_[0-9a-f]{12}$' };
+const WEBHOOK_DELIVERY_ID = { type: 'string', pattern: '^whd_[0-9a-f]{12}$' };
+const STRING_OR_LIST = {
+  anyOf: [TEXT, { type: 'array', minItems: 1, maxItems: 50, items: TEXT }]
+};
+const SCOPE_LIST = {
+  type: 'array',
+  minItems: 1,
+  uniqueItems: true,
+  items: { type: 'string', enum: MagneticaAuthService.SCOPES }
+};
+
+// Strict classification needs every signal unless a demo generates them;
+// tolerant classification takes a partial vector and null for "not measured"
+const segmentClassifyBody = {
+  type: 'object',
+  properties: {
+    signals: { type: 'object' },
+    // Segment id, demo alias or 'random'; checked against the tenant config
+    demo_mode: ITEM_ID,
+    seed: SEED,
+    classification_mode: { type: 'string', enum: CLASSIFICATION_MODES }
+  },
+  additionalProperties: false,
+  allOf: [
+    { if: { required: ['demo_mode'] }, else: { required: ['signals'] } },
+    {
+      if: { required: ['classification_mode'], properties: { classification_mode: { const: 'tolerant' } } },
+      then: { properties: { signals: buildSignalsSchema({ allowNull: true }) } },
+      else: {
+        if: { required: ['demo_mode'] },
+        then: { properties: { signals: buildSignalsSchema() } },
+        else: { properties: { signals: buildSignalsSchema({ requireAll: true }) } }
+      }
+    }
+  ]
+};
+
+const eventSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: SessionSignalAggregator.EVENT_TYPES },
+    timestamp: {
+      anyOf: [{ type: 'string', format: 'date-time' }, { type: 'integer', minimum: 0 }]
+    },
+    dwell_seconds: { type: 'number', minimum: 0 },
+    content_tags: { type: 'array', items: { type: 'string' } },
+    room: { type: 'string', minLength: 1 },
+    action: { type: 'string', enum: SessionSignalAggregator.INTERACTION_ACTIONS },
+    product_id: { type: 'string' },
+    price_band: { type: 'string' },
+    document_type: { type: 'string' },
+    returning_visitor: { type: 'boolean' }
+  },
+  allOf: [
+    { if: { properties: { type: { const: 'product_interaction' } } }, then: { required: ['action'] } },
+    { if: { properties: { type: { const: 'room_navigation' } } }, then: { required: ['room'] } }
+  ]
+};
+
+const segmentItem = {
+  type: 'object',
+  required: ['name', 'scoring', 'thresholds'],
+  properties: {
+    id: ITEM_ID,
+    name: TEXT,
+    description: { type: 'string' },
+    keySignals: { type: 'array', items: SIGNAL_NAME },
+    scoring: {
+      type: 'object',
+      required: ['weights'],
+      properties: {
+        weights: {
+          type: 'object',
+          minProperties: 1,
+          propertyNames: SIGNAL_NAME,
+          additionalProperties: { type: 'number', minimum: 0 }
+        },
+        normalisers: {
+          type: 'object',
+          propertyNames: SIGNAL_NAME,
+          additionalProperties: { type: 'number', exclusiveMinimum: 0 }
+        }
+      }
+    },
+    classificationFactors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['signal', 'above', 'label'],
+        properties: { signal: SIGNAL_NAME, above: { type: 'number' }, label: TEXT }
+      }
+    },
+    contentAngle: ITEM_ID,
+    consultationMultiplier: { type: 'number', exclusiveMinimum: 0 },
+    signalDefaults: {
+      type: 'object',
+      propertyNames: SIGNAL_NAME,
+      additionalProperties: { type: ['number', 'boolean'] }
+    },
+    thresholds: {
+      type: 'object',
+      required: ['confidence'],
+      additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    characteristics: { type: 'object' }
+  }
+};
+
+// catalogueMatch tags ingested products with the angle by designer,
+// category or material
+const MATCH_LIST = { type: 'array', items: TEXT };
+const contentAngleItem = {
+  type: 'object',
+  required: ['name', 'focus'],
+  properties: {
+    id: ITEM_ID,
+    name: TEXT,
+    focus: TEXT,
+    catalogueMatch: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { designers: MATCH_LIST, categories: MATCH_LIST, materials: MATCH_LIST }
+    }
+  }
+};
+
+// Condition trees are checked in depth by the rules engine
+const businessRuleItem = {
+  type: 'object',
+  required: ['name', 'trigger_conditions'],
+  properties: {
+    id: ITEM_ID,
+    name: TEXT,
+    trigger_conditions: { type: 'object', minProperties: 1 },
+    expected_outcomes: { type: 'object', additionalProperties: { type: 'number' } }
+  }
+};
+
+const ADMIN_ITEM_SCHEMAS = {
+  'segments': segmentItem,
+  'content-angles': contentAngleItem,
+  'business-rules': businessRuleItem
+};
+
+// POST needs the id in the body; PUT takes it from the path
+const ADMIN_CREATE_SCHEMAS = {};
+for (const [collection, schema] of Object.entries(ADMIN_ITEM_SCHEMAS)) {
+  ADMIN_CREATE_SCHEMAS[collection] = { ...schema, required: ['id', ...schema.required] };
+}
+
+const ADMIN_ITEM_PARAMS = {
+  type: 'object',
+  properties: { id: ITEM_ID }
+};
+
+const RequestSchemas = {
+  segmentClassify: {
+    body: segmentClassifyBody
+  },
+
+  events: {
+    headers: {
+      type: 'object',
+      required: ['x-session-id'],
+      properties: { 'x-session-id': SESSION_ID }
+    },
+    body: {
+      type: 'object',
+      required: ['events'],
+      properties: {
+        events: { type: 'array', minItems: 1, maxItems: 100, items: eventSchema }
+      },
+      additionalProperties: false
+    }
+  },
+
+  sessionAnalytics: {
+    query: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' },
+        segment: ITEM_ID,
+        granularity: { type: 'string', enum: ['hour', 'day', 'week'] },
+        include_demo: { type: 'string', enum: ['true', 'false'] }
+      },
+      additionalProperties: false
+    }
+  },
+
+  userProfile: {
+    params: {
+      type: 'object',
+      properties: { sessionId: SESSION_ID }
+    }
+  },
+
+  adminCollection: {
+    params: ADMIN_ITEM_PARAMS
+  },
+
+  adminCreate: {
+    body: req => ADMIN_CREATE_SCHEMAS[req.params.collection]
+  },
+
+  adminUpdate: {
+    params: ADMIN_ITEM_PARAMS,
+    body: req => ADMIN_ITEM_SCHEMAS[req.params.collection]
+  },
+
+  syntheticSessions: {
+    body: {
+      type: 'object',
+      required: ['count'],
+      properties: {
+        count: { type: 'integer', minimum: 1, maximum: 1000 },
+        seed: SEED,
+        segment_mix: {
+          type: 'object',
+          propertyNames: ITEM_ID,
+          additionalProperties: { type: 'number', minimum: 0 }
+        },
+        persist: { type: 'boolean' },
+        spread_hours: { type: 'number', minimum: 0, maximum: 24 * 90 }
+      },
+      additionalProperties: false
+    }
+  },
+
+  adminRollback: {
+    body: {
+      type: 'object',
+      required: ['version'],
+      properties: { version: TEXT },
+      additionalProperties: false
+    }
+  },
+
+  similarSearch: {
+    headers: {
+      type: 'object',
+      properties: { 'x-session-id': SESSION_ID }
+    },
+    body: {
+      type: 'object',
+      properties: {
+        product_id: TEXT,
+        query: { type: 'string', minLength: 1, maxLength: 2000 },
+        image_url: { type: 'string', format: 'uri' },
+        top_k: { type: 'integer', minimum: 1, maximum: 50 },
+        filters: {
+          type: 'object',
+          properties: {
+            category: STRING_OR_LIST,
+            designer: STRING_OR_LIST,
+            price_band: STRING_OR_LIST,
+            price_min: { type: 'number', minimum: 0 },
+            price_max: { type: 'number', minimum: 0 }
+          },
+          additionalProperties: false
+        },
+        rerank: { type: 'boolean' }
+      },
+      additionalProperties: false,
+      oneOf: [
+        { required: ['product_id'] },
+        { required: ['query'] },
+        { required: ['image_url'] }
+      ]
+    }
+  },
+
+  ingestionJob: {
+    body: {
+      type: 'object',
+      required: ['source'],
+      properties: {
+        source: { type: 'string', enum: MagneticaCatalogueIngestion.SOURCES },
+        file: { type: 'string', pattern: '^[A-Za-z0-9_.-]+\\.(json|csv)$' },
+        full: { type: 'boolean' }
+      },
+      if: { properties: { source: { const: 'file' } } },
+      then: { required: ['file'] },
+      additionalProperties: false
+    }
+  },
+
+  ingestionJobStatus: {
+    params: {
+      type: 'object',
+      properties: { jobId: { type: 'string', pattern: '^ing_[0-9a-f]{12}$' } }
+    }
+  },
+
+  visionJob: {
+    body: {
+      type: 'object',
+      required: ['images'],
+      properties: {
+        images: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 1000,
+          items: { type: 'string', format: 'uri', pattern: '^https?://' }
+        },
+        label: { type: 'string', maxLength: 200 }
+      },
+      additionalProperties: false
+    }
+  },
+
+  visionJobAction: {
+    params: {
+      type: 'object',
+      properties: { jobId: { type: 'string', pattern: '^vis_[0-9a-f]{12}$' } }
+    }
+  },
+
+  webhookCreate: {
+    body: {
+      type: 'object',
+      required: ['url', 'events'],
+      properties: {
+        url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2048 },
+        events: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: 'string', enum: MagneticaWebhookDispatcher.EVENTS }
+        },
+        description: { type: 'string', maxLength: 200 }
+      },
+      additionalProperties: false
+    }
+  },
+
+  webhook: {
+    params: {
+      type: 'object',
+      properties: { webhookId: WEBHOOK_ID }
+    }
+  },
+
+  webhookDeliveries: {
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+        webhook_id: WEBHOOK_ID,
+        event: { type: 'string', enum: [...MagneticaWebhookDispatcher.EVENTS, MagneticaWebhookDispatcher.TEST_EVENT] },
+        limit: { type: 'string', pattern: '^([1-9][0-9]{0,2}|1000)$' }
+      },
+      additionalProperties: false
+    }
+  },
+
+  webhookDelivery: {
+    params: {
+      type: 'object',
+      properties: { deliveryId: WEBHOOK_DELIVERY_ID }
+    }
+  },
+
+  costs: {
+    query: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' }
+      },
+      additionalProperties: false
+    }
+  },
+
+  validateKeys: {
+    query: {
+      type: 'object',
+      properties: { refresh: { type: 'string', enum: ['true', 'false'] } },
+      additionalProperties: false
+    }
+  },
+
+  authToken: {
+    body: {
+      type: 'object',
+      required: ['subject', 'scopes'],
+      properties: {
+        subject: TEXT,
+        scopes: SCOPE_LIST,
+        expires_in: { type: 'integer', minimum: 60, maximum: 7 * 24 * 60 * 60 }
+      },
+      additionalProperties: false
+    }
+  },
+
+  apiKeyCreate: {
+    body: {
+      type: 'object',
+      required: ['name', 'scopes'],
+      properties: {
+        name: TEXT,
+        scopes: SCOPE_LIST,
+        tier: { type: 'string', enum: Object.keys(UsageTiers) }
+      },
+      additionalProperties: false
+    }
+  },
+
+  apiKeyRevoke: {
+    params: {
+      type: 'object',
+      properties: { keyId: { type: 'string', pattern: '^[0-9a-f]{8}$' } }
+    }
+  }
+};
+
+module.exports = { RequestSchemas, CLASSIFICATION_MODES };
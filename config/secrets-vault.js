@@ -0,0 +1,248 @@
+// MAGNETICA VDE PLATFORM - SECRETS VAULT
+// File cifrato (AES-256-GCM, chiave derivata via scrypt dalla master key)
+// con versioni, rotazione con periodo di grazia e revoca
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const VAULT_FORMAT = 1;
+const DEFAULT_GRACE_MS = 24 * 60 * 60 * 1000;
+// reloadIfChanged() looks at the file at most this often
+const RELOAD_CHECK_INTERVAL_MS = 5000;
+
+// Credentials the vault manages
+const MANAGED_SECRETS = [
+  'OPENAI_API_KEY',
+  'PINECONE_API_KEY',
+  'MOHD_API_KEY',
+  'AWS_ACCESS_KEY_ID',
+  'AWS_SECRET_ACCESS_KEY'
+];
+
+// Safe to log or return: a short hash plus the last four characters
+function fingerprintSecret(value) {
+  return {
+    fingerprint: `sha256:${crypto.createHash('sha256').update(value).digest('hex').slice(0, 12)}`,
+    masked: value.length > 8 ? `…${value.slice(-4)}` : '…'
+  };
+}
+
+function vaultError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+class MagneticaSecretsVault {
+  constructor(filePath, masterKey) {
+    if (!masterKey) {
+      throw vaultError('VAULT_MASTER_KEY non configurata');
+    }
+
+    this.filePath = filePath;
+    this.masterKey = masterKey;
+    this.secrets = {};
+    this.loadedMtime = 0;
+    this.checkedAt = 0;
+    this.load();
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  deriveKey(salt) {
+    return crypto.scryptSync(this.masterKey, salt, 32);
+  }
+
+  load() {
+    if (!this.exists()) {
+      return;
+    }
+
+    const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (envelope.format !== VAULT_FORMAT) {
+      throw vaultError(`Formato vault non supportato: ${envelope.format}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      this.secrets = JSON.parse(plaintext.toString('utf8')).secrets;
+    } catch (error) {
+      throw vaultError('Impossibile decifrare il vault: master key errata o file corrotto');
+    }
+
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  // Picks up changes written by another process (e.g. the setup-keys CLI)
+  // within RELOAD_CHECK_INTERVAL_MS, without a stat on every secret read
+  reloadIfChanged(now = Date.now()) {
+    if (now - this.checkedAt < RELOAD_CHECK_INTERVAL_MS) {
+      return;
+    }
+    this.checkedAt = now;
+    if (this.exists() && fs.statSync(this.filePath).mtimeMs !== this.loadedMtime) {
+      this.load();
+    }
+  }
+
+  // Fresh salt and IV on every write; written to a temp file then renamed
+  save() {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify({ secrets: this.secrets }), 'utf8'), cipher.final()]);
+    const envelope = {
+      format: VAULT_FORMAT,
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  assertManaged(name) {
+    if (!MANAGED_SECRETS.includes(name)) {
+      throw vaultError(`Segreto non gestito: ${name} (ammessi: ${MANAGED_SECRETS.join(', ')})`);
+    }
+  }
+
+  addVersion(name, value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw vaultError(`Valore vuoto per ${name}`);
+    }
+
+    const entry = this.secrets[name] || (this.secrets[name] = { versions: [] });
+    const version = {
+      version: entry.versions.reduce((max, item) => Math.max(max, item.version), 0) + 1,
+      value: value.trim(),
+      ...fingerprintSecret(value.trim()),
+      status: 'active',
+      created_at: new Date().toISOString(),
+      grace_until: null,
+      revoked_at: null
+    };
+    entry.versions.push(version);
+    return version;
+  }
+
+  // Replaces the active version immediately; older versions are revoked
+  set(name, value) {
+    this.assertManaged(name);
+    const now = new Date().toISOString();
+    for (const version of (this.secrets[name] || { versions: [] }).versions) {
+      if (version.status !== 'revoked') {
+        Object.assign(version, { status: 'revoked', value: null, revoked_at: now, grace_until: null });
+      }
+    }
+
+    const version = this.addVersion(name, value);
+    this.save();
+    return version;
+  }
+
+  // New active version; the current one stays usable until the grace
+  // period ends. Anything still in grace from an earlier rotation is revoked.
+  rotate(name, value, graceMs = DEFAULT_GRACE_MS) {
+    this.assertManaged(name);
+    const now = new Date();
+    for (const version of (this.secrets[name] || { versions: [] }).versions) {
+      if (version.status === 'active') {
+        Object.assign(version, { status: 'grace', grace_until: new Date(now.getTime() + graceMs).toISOString() });
+      } else if (version.status === 'grace') {
+        Object.assign(version, { status: 'revoked', value: null, revoked_at: now.toISOString(), grace_until: null });
+      }
+    }
+
+    const version = this.addVersion(name, value);
+    this.save();
+    return version;
+  }
+
+  // Revokes one version, or every version when none is given. Revoked
+  // versions keep their fingerprint for the audit trail, not their value.
+  revoke(name, versionNumber) {
+    this.assertManaged(name);
+    const entry = this.secrets[name];
+    const targets = entry
+      ? entry.versions.filter(item => item.status !== 'revoked' && (versionNumber === undefined || item.version === versionNumber))
+      : [];
+    if (targets.length === 0) {
+      throw vaultError(versionNumber === undefined
+        ? `Nessuna versione attiva per ${name}`
+        : `Versione ${versionNumber} di ${name} non trovata o già revocata`);
+    }
+
+    const now = new Date().toISOString();
+    targets.forEach(item => Object.assign(item, { status: 'revoked', value: null, revoked_at: now, grace_until: null }));
+    this.save();
+    return targets.map(({ value, ...item }) => item);
+  }
+
+  isUsable(version, now = Date.now()) {
+    return version.status === 'active' ||
+      (version.status === 'grace' && new Date(version.grace_until).getTime() > now);
+  }
+
+  // True once the vault manages the secret, even if every version is revoked
+  has(name) {
+    return !!this.secrets[name] && this.secrets[name].versions.length > 0;
+  }
+
+  // Active value, or null
+  get(name) {
+    const entry = this.secrets[name];
+    const active = entry && entry.versions.find(item => item.status === 'active');
+    return active ? active.value : null;
+  }
+
+  // Active value first, then previous values still in their grace period
+  getUsableValues(name) {
+    const entry = this.secrets[name];
+    if (!entry) return [];
+    return entry.versions
+      .filter(item => this.isUsable(item))
+      .sort((a, b) => (b.status === 'active') - (a.status === 'active') || b.version - a.version)
+      .map(item => item.value);
+  }
+
+  // Per secret: active and in-grace versions, without values
+  status() {
+    const now = Date.now();
+    const status = {};
+
+    for (const name of MANAGED_SECRETS) {
+      const versions = (this.secrets[name] || { versions: [] }).versions
+        .filter(item => this.isUsable(item, now))
+        .map(({ value, revoked_at, ...item }) => item);
+      status[name] = {
+        active: versions.find(item => item.status === 'active') || null,
+        grace: versions.filter(item => item.status === 'grace')
+      };
+    }
+
+    return status;
+  }
+}
+
+MagneticaSecretsVault.MANAGED_SECRETS = MANAGED_SECRETS;
+MagneticaSecretsVault.DEFAULT_GRACE_MS = DEFAULT_GRACE_MS;
+MagneticaSecretsVault.fingerprintSecret = fingerprintSecret;
+
+module.exports = MagneticaSecretsVault;
@@ -0,0 +1,52 @@
+// MAGNETICA VDE PLATFORM - SIGNAL CATALOGUE
+// Every behavioural signal the classifier understands. Segment scoring
+// configs, business rules and request schemas may only reference these.
+
+const SignalCatalogue = {
+  designer_story_engagement: { type: 'ratio' },
+  craftsmanship_content_focus: { type: 'ratio' },
+  heritage_content_time: { type: 'seconds' },
+  multi_room_navigation: { type: 'boolean' },
+  complete_project_interest: { type: 'ratio' },
+  budget_premium_indicators: { type: 'ratio' },
+  clean_aesthetic_preference: { type: 'ratio' },
+  integration_content_focus: { type: 'ratio' },
+  contemporary_browsing_pattern: { type: 'ratio' },
+  commercial_scale_indicators: { type: 'ratio' },
+  durability_specs_interest: { type: 'ratio' },
+  technical_documentation_focus: { type: 'ratio' },
+  session_duration: { type: 'seconds' },
+  page_depth: { type: 'count' },
+  product_interaction_quality: { type: 'ratio' },
+  return_visitor_pattern: { type: 'boolean' }
+};
+
+// JSON Schema for a single value of each signal type
+const SIGNAL_TYPE_SCHEMAS = {
+  ratio: { type: 'number', minimum: 0, maximum: 1 },
+  seconds: { type: 'number', minimum: 0 },
+  count: { type: 'number', minimum: 0 },
+  boolean: { type: ['boolean', 'number'], minimum: 0, maximum: 1 }
+};
+
+// Schema for a signals object; requireAll makes every catalogue signal
+// mandatory, allowNull accepts null as "not measured"
+function buildSignalsSchema({ requireAll = false, allowNull = false } = {}) {
+  const properties = {};
+  for (const [signal, definition] of Object.entries(SignalCatalogue)) {
+    const schema = SIGNAL_TYPE_SCHEMAS[definition.type];
+    properties[signal] = allowNull ? { anyOf: [{ type: 'null' }, schema] } : schema;
+  }
+
+  const schema = {
+    type: 'object',
+    properties,
+    additionalProperties: false
+  };
+  if (requireAll) {
+    schema.required = Object.keys(SignalCatalogue);
+  }
+  return schema;
+}
+
+module.exports = { SignalCatalogue, buildSignalsSchema };
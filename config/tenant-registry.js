@@ -0,0 +1,211 @@
+// MAGNETICA VDE PLATFORM - TENANT REGISTRY
+// Carica una configurazione per tenant (JSON/YAML) con versioni e chiavi API
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { EnterpriseLogger } = require('../services/enterprise-logger');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const MAX_CONFIG_HISTORY = 20;
+// Tenant ids prefix store keys as '<tenant>:<...>', so they cannot contain ':'
+const TENANT_ID_PATTERN = /^[a-z0-9_-]+$/;
+// MAJOR.MINOR.PATCH with an optional suffix (1.0.0-ENTERPRISE); every
+// update bumps PATCH, so history versions stay unique
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(.*)$/;
+
+class MagneticaTenantRegistry {
+  // createService builds the per-tenant classification service from a config
+  constructor(createService, options = {}) {
+    this.createService = createService;
+    this.logger = options.logger || new EnterpriseLogger({ context: { component: 'tenant-registry' } });
+    this.configDir = options.configDir || process.env.TENANTS_CONFIG_DIR || path.join(__dirname, 'tenants');
+    this.defaultTenantId = options.defaultTenantId || process.env.DEFAULT_TENANT_ID || 'mohd';
+    this.tenants = new Map();
+
+    this.loadTenants();
+  }
+
+  loadTenants() {
+    const files = fs.readdirSync(this.configDir)
+      .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(this.configDir, file);
+      const { tenant, config } = this.readTenantFile(filePath);
+
+      if (this.tenants.has(tenant.id)) {
+        throw new Error(`Duplicate tenant id '${tenant.id}' in ${file}`);
+      }
+
+      this.tenants.set(tenant.id, {
+        id: tenant.id,
+        name: tenant.name || tenant.id,
+        definition: tenant,
+        filePath,
+        history: [],
+        service: this.createService(config, tenant.id)
+      });
+    }
+
+    if (!this.tenants.has(this.defaultTenantId)) {
+      throw new Error(`Default tenant '${this.defaultTenantId}' has no configuration in ${this.configDir}`);
+    }
+  }
+
+  readTenantFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+
+    if (!parsed || typeof parsed !== 'object' || !parsed.tenant || !parsed.tenant.id) {
+      throw new Error(`Tenant file ${path.basename(filePath)} must declare tenant.id`);
+    }
+    if (typeof parsed.tenant.id !== 'string' || !TENANT_ID_PATTERN.test(parsed.tenant.id)) {
+      throw new Error(`Tenant file ${path.basename(filePath)}: tenant.id '${parsed.tenant.id}' must match ${TENANT_ID_PATTERN}`);
+    }
+
+    // The tenant block (with key hashes) never reaches the service config
+    const { tenant, ...config } = parsed;
+    tenant.api_keys = tenant.api_keys || [];
+    config.metadata = config.metadata || {};
+    if (config.metadata.version === undefined) {
+      config.metadata.version = '1.0.0';
+    } else if (typeof config.metadata.version !== 'string' || !VERSION_PATTERN.test(config.metadata.version)) {
+      throw new Error(`Tenant file ${path.basename(filePath)}: metadata.version '${config.metadata.version}' must look like 1.0.0`);
+    }
+    if (!config.metadata.last_updated) {
+      config.metadata.last_updated = fs.statSync(filePath).mtime.toISOString();
+    }
+
+    return { tenant, config };
+  }
+
+  // Applica una modifica alla configurazione del tenant senza riavvio.
+  // mutate receives a deep copy; the result is validated by the service
+  // before it goes live, then written back to the tenant file.
+  updateTenantConfig(tenantId, mutate, change) {
+    const tenant = this.getTenant(tenantId);
+    if (!tenant) {
+      throw new Error(`Unknown tenant '${tenantId}'`);
+    }
+
+    const previous = tenant.service.config;
+    const next = JSON.parse(JSON.stringify(previous));
+    mutate(next);
+
+    next.metadata = {
+      ...next.metadata,
+      version: this.bumpVersion(previous.metadata.version),
+      last_updated: new Date().toISOString()
+    };
+
+    tenant.service.applyConfiguration(next);
+    this.recordHistory(tenant, previous, change);
+    this.persistTenant(tenant);
+
+    return next;
+  }
+
+  // Restores a snapshot from history as a new version
+  rollbackTenantConfig(tenantId, version) {
+    const tenant = this.getTenant(tenantId);
+    const snapshot = tenant && tenant.history.find(entry => entry.version === version);
+    if (!snapshot) {
+      return null;
+    }
+
+    return this.updateTenantConfig(tenantId, config => {
+      const restored = JSON.parse(JSON.stringify(snapshot.config));
+      for (const key of Object.keys(config)) delete config[key];
+      Object.assign(config, restored);
+    }, { action: 'rollback', target: version });
+  }
+
+  getTenantHistory(tenantId) {
+    const tenant = this.getTenant(tenantId);
+    if (!tenant) return [];
+
+    return tenant.history.map(({ version, last_updated, replaced_at, change }) => ({
+      version, last_updated, replaced_at, change
+    }));
+  }
+
+  recordHistory(tenant, previous, change) {
+    tenant.history.unshift({
+      version: previous.metadata.version,
+      last_updated: previous.metadata.last_updated,
+      replaced_at: new Date().toISOString(),
+      change: change || {},
+      config: previous
+    });
+    tenant.history.length = Math.min(tenant.history.length, MAX_CONFIG_HISTORY);
+  }
+
+  // 1.0.0-ENTERPRISE -> 1.0.1-ENTERPRISE
+  bumpVersion(version) {
+    const match = VERSION_PATTERN.exec(version);
+    if (!match) {
+      throw new Error(`Cannot bump non-semver config version '${version}'`);
+    }
+    return `${match[1]}.${match[2]}.${Number(match[3]) + 1}${match[4]}`;
+  }
+
+  persistTenant(tenant) {
+    const document = { tenant: tenant.definition, ...tenant.service.config };
+    const serialised = path.extname(tenant.filePath).toLowerCase() === '.json'
+      ? `${JSON.stringify(document, null, 2)}\n`
+      : yaml.dump(document);
+
+    try {
+      fs.writeFileSync(tenant.filePath, serialised);
+    } catch (error) {
+      // Read-only deployments (e.g. Vercel) keep the change in memory only
+      this.logger.warn('Tenant configuration not saved to disk', { tenant: tenant.id, error: error.message });
+    }
+  }
+
+  getTenant(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  // Client API keys live hashed in the tenant block: { id, name, hash, scopes, created_at, revoked_at }
+  findApiKey(keyId) {
+    for (const tenant of this.tenants.values()) {
+      const apiKey = tenant.definition.api_keys.find(candidate => candidate.id === keyId);
+      if (apiKey) {
+        return { tenant, apiKey };
+      }
+    }
+    return null;
+  }
+
+  addApiKey(tenantId, apiKey) {
+    const tenant = this.getTenant(tenantId);
+    tenant.definition.api_keys.push(apiKey);
+    this.persistTenant(tenant);
+    return apiKey;
+  }
+
+  revokeApiKey(tenantId, keyId) {
+    const tenant = this.getTenant(tenantId);
+    const apiKey = tenant && tenant.definition.api_keys.find(candidate => candidate.id === keyId);
+    if (!apiKey) {
+      return null;
+    }
+
+    apiKey.revoked_at = apiKey.revoked_at || new Date().toISOString();
+    this.persistTenant(tenant);
+    return apiKey;
+  }
+
+  listTenantIds() {
+    return Array.from(this.tenants.keys());
+  }
+
+  isInitialized() {
+    return Array.from(this.tenants.values()).every(tenant => tenant.service.isInitialized);
+  }
+}
+
+module.exports = MagneticaTenantRegistry;
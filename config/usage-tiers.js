@@ -0,0 +1,73 @@
+// MAGNETICA VDE PLATFORM - USAGE TIERS
+// Rate limits per client and monthly quotas per tenant for each commercial
+// tier (README: TENANT TIERS). CUSTOM contracts start from ENTERPRISE and
+// override individual limits through the tenant's `usage` block.
+
+const MINUTE = 60 * 1000;
+
+// Metered route classes: classification covers /segment/classify and
+// /events (every event batch reclassifies), analytics covers
+// /session-analytics and /user-profile, search covers /search/similar
+const ROUTE_CLASSES = ['classification', 'analytics', 'search'];
+
+const UsageTiers = {
+  starter: {
+    name: 'STARTER',
+    rateLimits: {
+      classification: { windowMs: MINUTE, max: 60 },
+      analytics: { windowMs: MINUTE, max: 10 },
+      search: { windowMs: MINUTE, max: 30 }
+    },
+    // null = not metered
+    monthlyQuota: { classification: 100000, analytics: 5000, search: 20000 }
+  },
+  professional: {
+    name: 'PROFESSIONAL',
+    rateLimits: {
+      classification: { windowMs: MINUTE, max: 300 },
+      analytics: { windowMs: MINUTE, max: 60 },
+      search: { windowMs: MINUTE, max: 120 }
+    },
+    monthlyQuota: { classification: 1000000, analytics: 50000, search: 200000 }
+  },
+  enterprise: {
+    name: 'ENTERPRISE',
+    rateLimits: {
+      classification: { windowMs: MINUTE, max: 3000 },
+      analytics: { windowMs: MINUTE, max: 300 },
+      search: { windowMs: MINUTE, max: 1200 }
+    },
+    monthlyQuota: { classification: 20000000, analytics: null, search: 2000000 }
+  }
+};
+
+const DEFAULT_TIER = 'starter';
+
+// Tiers from lowest to highest, in declaration order
+const TIER_ORDER = Object.keys(UsageTiers);
+
+// True when `tierId` ranks above `ceilingId`; an unknown ceiling counts as
+// the default tier, as in resolveTierLimits
+function tierExceeds(tierId, ceilingId) {
+  const ceiling = UsageTiers[ceilingId] ? ceilingId : DEFAULT_TIER;
+  return TIER_ORDER.indexOf(tierId) > TIER_ORDER.indexOf(ceiling);
+}
+
+// Tier limits with the tenant's per-class overrides applied
+function resolveTierLimits(tierId, overrides = {}) {
+  const tier = UsageTiers[tierId] || UsageTiers[DEFAULT_TIER];
+  const rateOverrides = overrides.rateLimits || {};
+  const quotaOverrides = overrides.monthlyQuota || {};
+  const limits = { name: tier.name, rateLimits: {}, monthlyQuota: {} };
+
+  for (const routeClass of ROUTE_CLASSES) {
+    limits.rateLimits[routeClass] = { ...tier.rateLimits[routeClass], ...rateOverrides[routeClass] };
+    limits.monthlyQuota[routeClass] = routeClass in quotaOverrides
+      ? quotaOverrides[routeClass]
+      : tier.monthlyQuota[routeClass];
+  }
+
+  return limits;
+}
+
+module.exports = { UsageTiers, ROUTE_CLASSES, DEFAULT_TIER, resolveTierLimits, tierExceeds };
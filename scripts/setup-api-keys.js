@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// MAGNETICA VDE PLATFORM - SETUP API KEYS
+// Gestione del vault cifrato dei segreti (richiede VAULT_MASTER_KEY)
+//
+//   npm run setup-keys -- status
+//   npm run setup-keys -- set <NOME>                     valore da stdin
+//   npm run setup-keys -- rotate <NOME> [--grace-hours=24]
+//   npm run setup-keys -- revoke <NOME> [versione]
+
+require('dotenv').config();
+
+const readline = require('readline');
+const { Writable } = require('stream');
+const MagneticaAPIKeysManager = require('../config/api-keys-manager');
+const MagneticaSecretsVault = require('../config/secrets-vault');
+
+const USAGE = `Uso: npm run setup-keys -- <status|set|rotate|revoke> [NOME] [opzioni]
+Segreti gestiti: ${MagneticaSecretsVault.MANAGED_SECRETS.join(', ')}`;
+
+// Values come from stdin so they never end up in the shell history
+async function readSecretValue(name) {
+  if (!process.stdin.isTTY) {
+    let input = '';
+    for await (const chunk of process.stdin) input += chunk;
+    return input.trim();
+  }
+
+  // Only the prompt reaches the terminal: the typed value is not echoed
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  const value = await new Promise(resolve => {
+    rl.question(`🔑 Nuovo valore per ${name}: `, resolve);
+    muted = true;
+  });
+  rl.close();
+  process.stdout.write('\n');
+  return value.trim();
+}
+
+function printVersion(name, version) {
+  const grace = version.grace_until ? ` (in grazia fino a ${version.grace_until})` : '';
+  console.log(`   ${name} v${version.version} ${version.fingerprint} ${version.masked}${grace}`);
+}
+
+async function main() {
+  const [command, name, ...rest] = process.argv.slice(2);
+  const vault = new MagneticaSecretsVault(MagneticaAPIKeysManager.vaultPath(), process.env.VAULT_MASTER_KEY);
+
+  switch (command) {
+    case 'status': {
+      const status = vault.status();
+      console.log(`🔒 Vault: ${vault.filePath}`);
+      for (const secret of MagneticaSecretsVault.MANAGED_SECRETS) {
+        const { active, grace } = status[secret];
+        if (!active && grace.length === 0) {
+          console.log(`   ${secret}: nessuna versione attiva`);
+          continue;
+        }
+        if (active) printVersion(secret, active);
+        grace.forEach(version => printVersion(secret, version));
+      }
+      return;
+    }
+
+    case 'set':
+    case 'rotate': {
+      if (!name) throw new Error(USAGE);
+      vault.assertManaged(name);
+      const graceArg = rest.find(arg => arg.startsWith('--grace-hours='));
+      const graceMs = graceArg
+        ? parseFloat(graceArg.split('=')[1]) * 60 * 60 * 1000
+        : MagneticaSecretsVault.DEFAULT_GRACE_MS;
+      if (!(graceMs >= 0)) throw new Error('--grace-hours deve essere un numero >= 0');
+
+      const value = await readSecretValue(name);
+      const version = command === 'set' ? vault.set(name, value) : vault.rotate(name, value, graceMs);
+      console.log(`✅ ${name} ${command === 'set' ? 'impostata' : 'ruotata'}`);
+      printVersion(name, version);
+      return;
+    }
+
+    case 'revoke': {
+      if (!name) throw new Error(USAGE);
+      const versionNumber = rest[0] !== undefined ? parseInt(rest[0], 10) : undefined;
+      const revoked = vault.revoke(name, versionNumber);
+      console.log(`🚫 Revocate ${revoked.length} versioni di ${name}`);
+      revoked.forEach(version => printVersion(name, version));
+      return;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -1,42 +1,127 @@
 // ENTERPRISE MOCK SERVER: Production-Grade Information Layer Service
 // Fixed all critical security and validation issues
 
+// Structured JSON logs (LOG_LEVEL, LOG_SINKS), shared by every component
+const { EnterpriseLogger, requestContext } = require('./services/enterprise-logger');
+const logger = new EnterpriseLogger();
+
+// Prometheus metrics, rendered by GET /metrics
+const { createPlatformMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./services/metrics-registry');
+const metrics = createPlatformMetrics();
+
 // 🔐 MAGNETICA API KEYS MANAGER - CARICAMENTO AUTOMATICO CREDENZIALI
 const MagneticaAPIKeysManager = require('./config/api-keys-manager');
-const apiKeysManager = new MagneticaAPIKeysManager();
+const apiKeysManager = new MagneticaAPIKeysManager(logger.child({ component: 'api-keys-manager' }));
+const BusinessRulesEngine = require('./services/business-rules-engine');
+const { SignalCatalogue, buildSignalsSchema } = require('./config/signal-catalogue');
+const { RequestSchemas } = require('./config/request-schemas');
+const { DEFAULT_TIER, tierExceeds } = require('./config/usage-tiers');
+const { validateRequest, validateAgainst } = require('./services/request-validator');
+const { DemoSignalGenerator, createRng, randomSeed } = require('./services/demo-signal-generator');
+const MagneticaTenantRegistry = require('./config/tenant-registry');
+const MagneticaAuthService = require('./services/auth-service');
+const MagneticaUsageMeter = require('./services/usage-meter');
+const { createUsageStore } = require('./services/usage-store');
+const { createCostLedger } = require('./services/cost-ledger');
+const MagneticaEmbeddingService = require('./services/embedding-service');
+const { createVectorStore } = require('./services/vector-store');
+const MagneticaSimilaritySearch = require('./services/similarity-search');
+const MagneticaCatalogueIngestion = require('./services/catalogue-ingestion');
+const { createVisionProvider } = require('./services/vision-provider');
+const { createVisionJobStore } = require('./services/vision-job-store');
+const MagneticaVisionQueue = require('./services/vision-queue');
+const { createWebhookStore } = require('./services/webhook-store');
+const MagneticaWebhookDispatcher = require('./services/webhook-dispatcher');
+const { MagneticaHealthChecks, checkWritable } = require('./services/health-checks');
+const MagneticaRouteRegistry = require('./services/route-registry');
+const SessionSignalAggregator = require('./services/session-signal-aggregator');
+const { createSessionStore } = require('./services/session-store');
+const SessionAnalyticsService = require('./services/session-analytics');
 
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Every route is registered through the registry, which documents it in
+// /api/openapi.json and /api/docs and lists it in 404 responses
+const routes = new MagneticaRouteRegistry(app);
+const API_INFO = {
+  title: 'Magnetica VDE Platform API',
+  version: '1.0.0-ENTERPRISE',
+  description: 'Behavioural segment classification, visual discovery and catalogue services.'
+};
+
 // Magnetica VDE Platform - Basic Server Setup
-console.log('🚀 Magnetica Visual Discovery Engine - Server Starting...');
+logger.info('🚀 Magnetica Visual Discovery Engine - Server Starting...');
+
+// Request ID: the caller's X-Request-ID when well-formed, otherwise a new
+// UUID. Echoed in the response and attached to every log line of the request.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-ID');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+
+  const startTime = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+    // Route pattern, never the raw URL: ids in paths would explode the series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const status = String(res.statusCode);
+
+    metrics.httpRequests.inc({ method: req.method, route, status, tenant: req.tenant ? req.tenant.id : '' });
+    metrics.httpDuration.observe({ method: req.method, route, status }, durationMs / 1000);
+    logger.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      duration_ms: durationMs
+    });
+  });
 
-// Enterprise Rate Limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // limit each IP to 1000 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many requests, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
+  requestContext.run({ requestId: req.id }, next);
 });
 
-app.use(limiter);
+// Enterprise Rate Limiting: coarse per-IP flood guard. Per-client limits
+// and quotas by tier are applied per route (see meterUsage).
+const rateLimitingEnabled = process.env.ENABLE_RATE_LIMITING !== 'false';
+const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+if (rateLimitingEnabled) {
+  app.use(rateLimit({
+    windowMs: rateLimitWindowMs,
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 1000, // per IP per window
+    message: {
+      success: false,
+      error: 'Too many requests, please try again later.',
+      retryAfter: `${Math.ceil(rateLimitWindowMs / 60000)} minutes`
+    },
+    // RateLimit-* headers are reserved for the per-client limits
+    standardHeaders: false,
+    legacyHeaders: false,
+    // Scrapes and load balancer probes must keep working while a flood is
+    // being refused
+    skip: req => req.path === '/metrics' || req.path.startsWith('/health'),
+    handler: (req, res, next, options) => {
+      metrics.rateLimitRejections.inc({ tenant: '', limiter: 'ip', route_class: '' });
+      res.status(options.statusCode).json(options.message);
+    }
+  }));
+}
 
 // Strict CORS configuration
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'X-Tenant-ID', 'X-API-Key', 'X-Request-ID'],
+  exposedHeaders: ['X-Request-ID']
 }));
 
 // Body parsing with size limits (security)
@@ -46,286 +131,254 @@ app.use(express.json({
   type: 'application/json'
 }));
 
-// Input validation schemas
-const ValidationSchemas = {
-  segmentClassifySchema: {
-    required: ['signals', 'demo_mode'],
-    optional: ['signals', 'demo_mode'],
-    signalsRequired: [
-      'designer_story_engagement',
-      'craftsmanship_content_focus', 
-      'heritage_content_time',
-      'multi_room_navigation',
-      'complete_project_interest',
-      'budget_premium_indicators',
-      'clean_aesthetic_preference',
-      'integration_content_focus',
-      'contemporary_browsing_pattern',
-      'commercial_scale_indicators',
-      'durability_specs_interest',
-      'technical_documentation_focus',
-      'session_duration',
-      'page_depth',
-      'product_interaction_quality',
-      'return_visitor_pattern'
-    ]
-  }
+// Signal vectors as checked by the classifier itself: tolerant mode accepts
+// a partial vector, strict mode needs every catalogue signal
+const SignalSchemas = {
+  partial: buildSignalsSchema(),
+  complete: buildSignalsSchema({ requireAll: true })
 };
 
-// Enterprise Logger
-class EnterpriseLogger {
-  info(message, data) {
-    console.log(`ℹ️  [${new Date().toISOString()}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
-  }
-  error(message, data) {
-    console.error(`❌ [${new Date().toISOString()}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
-  }
-  warn(message, data) {
-    console.warn(`⚠️  [${new Date().toISOString()}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+// Enterprise Information Layer Service
+class EnterpriseInformationLayerService {
+  constructor(config, tenantId) {
+    this.logger = logger.child({ tenant: tenantId });
+    this.rulesEngine = new BusinessRulesEngine(SignalCatalogue);
+    this.demoGenerator = new DemoSignalGenerator(SignalCatalogue);
+    this.tenantId = tenantId;
+    this.validateConfiguration(config);
+    this.config = config;
+    this.demoTemplates = this.demoGenerator.buildTemplates(config.customerSegments);
+    this.isInitialized = true;
+    
+    this.logger.info('🏗️ Enterprise Information Layer Service initialized', {
+      tenant: tenantId,
+      segments: Object.keys(this.config.customerSegments).length,
+      contentAngles: Object.keys(this.config.contentAngles).length,
+      businessRules: Object.keys(this.config.businessRules).length,
+      version: this.config.metadata.version,
+      security: 'ENTERPRISE_HARDENED'
+    });
   }
-}
 
-// Input Validation Middleware
-function validateInput(schema) {
-  return (req, res, next) => {
-    try {
-      const { body } = req;
-      
-      // Check if body exists
-      if (!body || typeof body !== 'object') {
-        return res.status(400).json({
-          success: false,
-          error: 'Request body is required and must be valid JSON',
-          timestamp: new Date().toISOString(),
-          path: req.path
-        });
+  // Checks every segment's scoring config against the signal catalogue so a
+  // typo in a config fails at boot instead of silently scoring as zero
+  validateConfiguration(config) {
+    const errors = [];
+    const segments = config.customerSegments || {};
+    const contentAngles = config.contentAngles || {};
+
+    for (const [segmentId, segment] of Object.entries(segments)) {
+      const scoring = segment.scoring || {};
+      const weights = scoring.weights || {};
+      const normalisers = scoring.normalisers || {};
+
+      if (Object.keys(weights).length === 0) {
+        errors.push(`Segment '${segmentId}' has no scoring weights`);
       }
 
-      // Validate signals if provided
-      if (body.signals && typeof body.signals !== 'object') {
-        return res.status(400).json({
-          success: false,
-          error: 'Signals must be an object with numeric values',
-          timestamp: new Date().toISOString(),
-          path: req.path
-        });
+      for (const [signal, weight] of Object.entries(weights)) {
+        if (!SignalCatalogue[signal]) {
+          errors.push(`Segment '${segmentId}' weights unknown signal '${signal}'`);
+        }
+        if (typeof weight !== 'number' || isNaN(weight) || weight < 0) {
+          errors.push(`Segment '${segmentId}' weight for '${signal}' must be a non-negative number`);
+        }
       }
 
-      // Validate demo_mode if provided
-      if (body.demo_mode && !['heritage', 'planner', 'random'].includes(body.demo_mode)) {
-        return res.status(400).json({
-          success: false,
-          error: 'demo_mode must be one of: heritage, planner, random',
-          timestamp: new Date().toISOString(),
-          path: req.path
-        });
+      for (const [signal, normaliser] of Object.entries(normalisers)) {
+        if (weights[signal] === undefined) {
+          errors.push(`Segment '${segmentId}' normalises '${signal}' which is not weighted`);
+        }
+        if (typeof normaliser !== 'number' || !(normaliser > 0)) {
+          errors.push(`Segment '${segmentId}' normaliser for '${signal}' must be a positive number`);
+        }
       }
 
-      // If signals provided, validate signal values
-      if (body.signals) {
-        for (const [key, value] of Object.entries(body.signals)) {
-          if (typeof value === 'string' || value === null || value === undefined) {
-            return res.status(400).json({
-              success: false,
-              error: `Signal '${key}' must be a numeric value, got ${typeof value}`,
-              timestamp: new Date().toISOString(),
-              path: req.path
-            });
-          }
-          
-          if (typeof value === 'number' && (isNaN(value) || value < 0 || value > 1)) {
-            // Allow some signals to be > 1 (like session_duration, page_depth, heritage_content_time)
-            const allowedLargeValues = ['session_duration', 'page_depth', 'heritage_content_time'];
-            if (!allowedLargeValues.includes(key) && value > 1) {
-              return res.status(400).json({
-                success: false,
-                error: `Signal '${key}' must be between 0 and 1, got ${value}`,
-                timestamp: new Date().toISOString(),
-                path: req.path
-              });
-            }
-          }
+      for (const signal of segment.keySignals || []) {
+        if (weights[signal] === undefined) {
+          errors.push(`Segment '${segmentId}' key signal '${signal}' is not weighted`);
         }
       }
 
-      next();
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid request format',
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        path: req.path
-      });
+      for (const [name, value] of Object.entries(segment.thresholds || {})) {
+        if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 1) {
+          errors.push(`Segment '${segmentId}' threshold '${name}' must be between 0 and 1`);
+        }
+      }
+      if (!segment.thresholds || segment.thresholds.confidence === undefined) {
+        errors.push(`Segment '${segmentId}' needs a confidence threshold`);
+      }
+
+      for (const factor of segment.classificationFactors || []) {
+        if (!SignalCatalogue[factor.signal]) {
+          errors.push(`Segment '${segmentId}' factor references unknown signal '${factor.signal}'`);
+        }
+        if (typeof factor.above !== 'number' || !factor.label) {
+          errors.push(`Segment '${segmentId}' factor for '${factor.signal}' needs a numeric 'above' and a label`);
+        }
+      }
+
+      for (const [signal, value] of Object.entries(segment.signalDefaults || {})) {
+        if (!SignalCatalogue[signal]) {
+          errors.push(`Segment '${segmentId}' has a default for unknown signal '${signal}'`);
+        } else if (typeof value !== 'number' && typeof value !== 'boolean') {
+          errors.push(`Segment '${segmentId}' default for '${signal}' must be a number or boolean`);
+        }
+      }
+
+      if (segment.consultationMultiplier !== undefined &&
+          (typeof segment.consultationMultiplier !== 'number' || !(segment.consultationMultiplier > 0))) {
+        errors.push(`Segment '${segmentId}' consultationMultiplier must be a positive number`);
+      }
+
+      if (segment.contentAngle && !contentAngles[segment.contentAngle]) {
+        errors.push(`Segment '${segmentId}' maps to unknown content angle '${segment.contentAngle}'`);
+      }
     }
-  };
-}
 
-// Enterprise Information Layer Service
-class EnterpriseInformationLayerService {
-  constructor() {
-    this.logger = new EnterpriseLogger();
-    this.mohdConfig = this.loadMOHDConfiguration();
-    this.isInitialized = true;
-    
-    this.logger.info('🏗️ Enterprise Information Layer Service initialized', {
-      segments: Object.keys(this.mohdConfig.customerSegments).length,
-      contentAngles: Object.keys(this.mohdConfig.contentAngles).length,
-      businessRules: Object.keys(this.mohdConfig.businessRules).length,
-      version: this.mohdConfig.metadata.version,
-      security: 'ENTERPRISE_HARDENED'
-    });
-  }
+    for (const [angleId, angle] of Object.entries(contentAngles)) {
+      for (const [field, values] of Object.entries(angle.catalogueMatch || {})) {
+        if (!['designers', 'categories', 'materials'].includes(field)) {
+          errors.push(`Content angle '${angleId}' catalogueMatch has unknown field '${field}'`);
+        } else if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+          errors.push(`Content angle '${angleId}' catalogueMatch.${field} must be a list of names`);
+        }
+      }
+    }
 
-  loadMOHDConfiguration() {
-    return {
-      customerSegments: {
-        italian_heritage_advocate: {
-          id: 'italian_heritage_advocate',
-          name: 'Italian Heritage Advocate',
-          description: 'Customers passionate about Italian design legacy and craftsmanship stories',
-          keySignals: ['designer_story_engagement', 'craftsmanship_focus', 'heritage_content_time'],
-          thresholds: { engagement: 0.7, confidence: 0.75, priority: 0.8 },
-          characteristics: {
-            browsing_pattern: 'deep_content_exploration',
-            content_preference: 'designer_stories_and_heritage',
-            aesthetic_inclination: 'classic_italian_design',
-            budget_indicators: 'premium_investment_mindset',
-            timeline_urgency: 'relationship_building_phase'
-          }
-        },
-        luxury_project_planner: {
-          id: 'luxury_project_planner',
-          name: 'Luxury Project Planner',
-          description: 'High-value customers planning complete interior projects',
-          keySignals: ['multi_room_navigation', 'project_interest', 'budget_premium_indicators'],
-          thresholds: { engagement: 0.8, confidence: 0.85, priority: 0.9 },
-          characteristics: {
-            browsing_pattern: 'comprehensive_multi_room_exploration',
-            content_preference: 'complete_project_scenarios',
-            aesthetic_inclination: 'sophisticated_luxury_coordination',
-            budget_indicators: 'premium_budget_no_constraints',
-            timeline_urgency: 'active_planning_consultation_ready'
-          }
-        },
-        international_minimalist: {
-          id: 'international_minimalist',
-          name: 'International Minimalist',
-          description: 'Global customers seeking clean, contemporary Italian design integration',
-          keySignals: ['clean_aesthetic_preference', 'integration_focus', 'contemporary_browsing'],
-          thresholds: { engagement: 0.6, confidence: 0.7, priority: 0.65 },
-          characteristics: {
-            browsing_pattern: 'selective_aesthetic_focused',
-            content_preference: 'integration_and_harmony_guidance',
-            aesthetic_inclination: 'minimal_contemporary_elegance',
-            budget_indicators: 'considered_investment_approach',
-            timeline_urgency: 'research_and_education_phase'
-          }
-        },
-        hospitality_professional: {
-          id: 'hospitality_professional',
-          name: 'Hospitality Professional',
-          description: 'Commercial buyers for hospitality and business environments',
-          keySignals: ['commercial_scale_indicators', 'durability_specs', 'technical_focus'],
-          thresholds: { engagement: 0.75, confidence: 0.8, priority: 0.85 },
-          characteristics: {
-            browsing_pattern: 'technical_specification_focused',
-            content_preference: 'durability_and_commercial_viability',
-            aesthetic_inclination: 'professional_sophisticated_environments',
-            budget_indicators: 'commercial_budget_value_focused',
-            timeline_urgency: 'project_timeline_driven'
-          }
+    if (config.defaultSegment && !segments[config.defaultSegment]) {
+      errors.push(`Default segment '${config.defaultSegment}' is not a configured segment`);
+    }
+    if (config.defaultContentAngle && !contentAngles[config.defaultContentAngle]) {
+      errors.push(`Default content angle '${config.defaultContentAngle}' is not a configured content angle`);
+    }
+
+    for (const [alias, segmentId] of Object.entries(config.demoAliases || {})) {
+      if (!segments[segmentId]) {
+        errors.push(`Demo alias '${alias}' points to unknown segment '${segmentId}'`);
+      }
+    }
+
+    if (config.imputation) {
+      const { populationMeans = {}, confidencePenalty, maxImputedFraction } = config.imputation;
+      for (const signal of Object.keys(SignalCatalogue)) {
+        if (populationMeans[signal] === undefined) {
+          errors.push(`Imputation has no population mean for '${signal}'`);
         }
-      },
-      contentAngles: {
-        italian_heritage: { id: 'italian_heritage', name: 'Italian Heritage & Legacy', focus: 'Designer storytelling and craftsmanship tradition' },
-        artisanal_excellence: { id: 'artisanal_excellence', name: 'Artisanal Excellence & Quality', focus: 'Technical superiority and manufacturing excellence' },
-        project_completion: { id: 'project_completion', name: 'Complete Project Solutions', focus: 'Comprehensive interior design scenarios and coordination' },
-        contemporary_integration: { id: 'contemporary_integration', name: 'Contemporary Integration & Harmony', focus: 'Modern living integration and aesthetic harmony' }
-      },
-      businessRules: {
-        immediate_consultation: {
-          id: 'immediate_consultation',
-          name: 'Immediate Consultation Trigger',
-          trigger_conditions: { segment_match: ['luxury_project_planner'], engagement_threshold: 0.8, session_depth: 3 },
-          expected_outcomes: { conversion_lift: 0.35, engagement_improvement: 0.25, consultation_quality: 0.9 }
-        },
-        heritage_education: {
-          id: 'heritage_education',
-          name: 'Heritage Education Path',
-          trigger_conditions: { segment_match: ['italian_heritage_advocate'], engagement_threshold: 0.6, session_depth: 2 },
-          expected_outcomes: { conversion_lift: 0.20, engagement_improvement: 0.40, consultation_quality: 0.75 }
+      }
+      for (const signal of Object.keys(populationMeans)) {
+        if (!SignalCatalogue[signal]) {
+          errors.push(`Imputation has a population mean for unknown signal '${signal}'`);
         }
-      },
-      metadata: {
-        version: '1.0.0-ENTERPRISE',
-        last_updated: new Date().toISOString(),
-        configuration_owner: 'MOHD_MVIP_Team',
-        validation_status: 'ENTERPRISE_HARDENED',
-        security_level: 'PRODUCTION_READY'
       }
-    };
+      for (const [name, value] of Object.entries({ confidencePenalty, maxImputedFraction })) {
+        if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+          errors.push(`Imputation ${name} must be between 0 and 1`);
+        }
+      }
+    }
+
+    for (const [ruleId, rule] of Object.entries(config.businessRules || {})) {
+      errors.push(...this.rulesEngine.validateRule(ruleId, rule, segments));
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid configuration for tenant '${this.tenantId}': ${errors.join('; ')}`);
+      error.status = 400;
+      error.violations = errors;
+      throw error;
+    }
+  }
+
+  // Swaps in a new configuration; the old one stays live if validation fails
+  applyConfiguration(config) {
+    this.validateConfiguration(config);
+    this.config = config;
+    this.demoTemplates = this.demoGenerator.buildTemplates(config.customerSegments);
+
+    this.logger.info('🔄 Tenant configuration updated', {
+      tenant: this.tenantId,
+      version: config.metadata.version
+    });
   }
 
   // Enterprise-grade segment classification with full validation
-  validateSegmentClassification(signals) {
+  // options.mode 'tolerant' fills missing signals from the tenant's
+  // imputation config instead of rejecting the request
+  validateSegmentClassification(signals, options = {}) {
     const startTime = performance.now();
+    const tolerant = options.mode === 'tolerant';
     
     try {
-      // Validate all required signals are present and numeric
-      const requiredSignals = [
-        'designer_story_engagement', 'craftsmanship_content_focus', 'heritage_content_time',
-        'multi_room_navigation', 'complete_project_interest', 'budget_premium_indicators',
-        'clean_aesthetic_preference', 'integration_content_focus', 'contemporary_browsing_pattern',
-        'commercial_scale_indicators', 'durability_specs_interest', 'technical_documentation_focus',
-        'session_duration', 'page_depth', 'product_interaction_quality', 'return_visitor_pattern'
-      ];
-
-      // Check for missing signals
-      const missingSignals = requiredSignals.filter(signal => 
-        signals[signal] === undefined || signals[signal] === null
+      // Tolerant mode treats null as missing; strict mode rejects it
+      const presentSignals = {};
+      for (const [signal, value] of Object.entries(signals || {})) {
+        if (!(tolerant && value === null)) presentSignals[signal] = value;
+      }
+
+      // Validate signal presence, types and ranges against the catalogue schema
+      const violations = validateAgainst(
+        tolerant ? SignalSchemas.partial : SignalSchemas.complete,
+        presentSignals,
+        { location: 'body', prefix: 'signals' }
       );
 
-      if (missingSignals.length > 0) {
-        throw new Error(`Missing required signals: ${missingSignals.join(', ')}`);
+      if (violations.length > 0) {
+        const error = new Error(`Invalid signals: ${violations.map(v => `${v.path} ${v.message}`).join('; ')}`);
+        error.status = 400;
+        error.violations = violations;
+        throw error;
       }
 
-      // Validate signal types and ranges
-      for (const signal of requiredSignals) {
-        const value = signals[signal];
-        
-        // Special handling for boolean signals
-        if (signal === 'multi_room_navigation' || signal === 'return_visitor_pattern') {
-          if (typeof value !== 'boolean' && typeof value !== 'number') {
-            throw new Error(`Signal '${signal}' must be a boolean or number, got ${typeof value}`);
-          }
-        } else {
-          if (typeof value !== 'number' || isNaN(value)) {
-            throw new Error(`Signal '${signal}' must be a number, got ${typeof value}`);
-          }
-        }
-      }
+      const missingSignals = Object.keys(SignalCatalogue).filter(signal => presentSignals[signal] === undefined);
+      const imputation = tolerant ? this.imputeSignals(presentSignals, missingSignals) : null;
+      const segmentSignals = imputation ? imputation.segmentSignals : {};
 
-      const probabilities = this.calculateSegmentProbabilities(signals);
+      const probabilities = this.calculateSegmentProbabilities(presentSignals, segmentSignals);
       const primarySegment = this.selectPrimarySegment(probabilities);
-      const confidence = probabilities[primarySegment];
+      // Factors, readiness and business rules read the vector that scored the
+      // primary segment
+      const completeSignals = segmentSignals[primarySegment] || (imputation ? imputation.signals : presentSignals);
+      const rawConfidence = probabilities[primarySegment];
 
       // Ensure confidence is never null
-      if (confidence === null || confidence === undefined || isNaN(confidence)) {
+      if (rawConfidence === null || rawConfidence === undefined || isNaN(rawConfidence)) {
         throw new Error('Classification confidence calculation failed');
       }
+
+      // Imputed evidence is weaker evidence: scale confidence down by the imputed share
+      const confidenceAdjustment = imputation ? 1 - imputation.confidencePenalty * imputation.imputedFraction : 1;
+      const confidence = rawConfidence * confidenceAdjustment;
       
       const classification = {
         primary_segment: primarySegment,
         confidence_score: confidence,
         segment_probabilities: probabilities,
-        classification_factors: this.identifyClassificationFactors(signals, primarySegment),
+        classification_factors: this.identifyClassificationFactors(completeSignals, primarySegment),
         recommended_content_angle: this.selectContentAngle(primarySegment),
-        consultation_readiness_score: this.calculateConsultationReadiness(signals, primarySegment)
+        consultation_readiness_score: this.calculateConsultationReadiness(completeSignals, primarySegment)
       };
 
+      if (imputation) {
+        classification.imputation = {
+          mode: 'tolerant',
+          imputed_signals: missingSignals,
+          imputed_values: Object.fromEntries(missingSignals.map(signal => [signal, completeSignals[signal]])),
+          segment_imputed_values: Object.fromEntries(Object.entries(segmentSignals).map(([segmentId, vector]) => [
+            segmentId,
+            Object.fromEntries(missingSignals.map(signal => [signal, vector[signal]]))
+          ])),
+          imputed_fraction: imputation.imputedFraction,
+          raw_confidence: rawConfidence,
+          confidence_adjustment: confidenceAdjustment
+        };
+      }
+
       const processingTime = performance.now() - startTime;
-      
+      metrics.classificationDuration.observe({ tenant: this.tenantId }, processingTime / 1000);
+      metrics.classifications.inc({ tenant: this.tenantId, segment: primarySegment });
+      metrics.classificationConfidence.observe({ tenant: this.tenantId, segment: primarySegment }, confidence);
+
       this.logger.info('🎯 Enterprise segment classification completed', {
         primarySegment,
         confidence: confidence.toFixed(4),
@@ -337,56 +390,119 @@ class EnterpriseInformationLayerService {
       return classification;
 
     } catch (error) {
-      this.logger.error('❌ Enterprise segment classification failed', { 
-        error: error.message, 
-        signals: Object.keys(signals || {}).length,
-        stack: error.stack 
+      metrics.classificationFailures.inc({ tenant: this.tenantId });
+      this.logger.error('❌ Enterprise segment classification failed', {
+        error: error.message,
+        signals: Object.keys(signals || {}).length
       });
+      this.logger.debug('Classification failure stack', { stack: error.stack });
       throw error;
     }
   }
 
-  calculateSegmentProbabilities(signals) {
-    try {
-      const heritageScore = (
-        signals.designer_story_engagement * 0.4 +
-        signals.craftsmanship_content_focus * 0.3 +
-        Math.min(signals.heritage_content_time / 120, 1) * 0.3
-      );
+  // Runs businessRules against a finished classification. Signals imputed in
+  // tolerant mode are evaluated at the primary segment's imputed values, the
+  // vector that was classified.
+  evaluateBusinessRules(signals, classification) {
+    const evaluated = classification.imputation
+      ? { ...signals, ...classification.imputation.imputed_values }
+      : signals;
+    const triggered = this.rulesEngine.evaluate(this.config.businessRules, evaluated, classification);
+    triggered.forEach(rule => metrics.ruleTriggers.inc({ tenant: this.tenantId, rule: rule.rule_id }));
+
+    if (triggered.length > 0) {
+      this.logger.info('📐 Business rules triggered', {
+        primarySegment: classification.primary_segment,
+        rules: triggered.map(rule => rule.rule_id)
+      });
+    }
 
-      const plannerScore = (
-        (signals.multi_room_navigation ? 1 : 0) * 0.35 +
-        signals.complete_project_interest * 0.35 +
-        signals.budget_premium_indicators * 0.3
-      );
+    return triggered;
+  }
 
-      const minimalistScore = (
-        signals.clean_aesthetic_preference * 0.4 +
-        signals.integration_content_focus * 0.35 +
-        signals.contemporary_browsing_pattern * 0.25
-      );
+  // Fills missing signals once per segment: the segment's signalDefaults
+  // first, then the tenant's population means (`signals` holds the means
+  // alone, for a primary segment outside customerSegments). Fails when too
+  // much of the vector would be guessed for the classification to mean anything.
+  imputeSignals(signals, missingSignals) {
+    const imputation = this.config.imputation;
 
-      const hospitalityScore = (
-        signals.commercial_scale_indicators * 0.4 +
-        signals.durability_specs_interest * 0.3 +
-        signals.technical_documentation_focus * 0.3
-      );
+    if (!imputation || !imputation.populationMeans) {
+      throw new Error('Tolerant classification is not configured for this tenant');
+    }
 
-      return {
-        italian_heritage_advocate: Math.min(Math.max(heritageScore, 0), 1),
-        luxury_project_planner: Math.min(Math.max(plannerScore, 0), 1),
-        international_minimalist: Math.min(Math.max(minimalistScore, 0), 1),
-        hospitality_professional: Math.min(Math.max(hospitalityScore, 0), 1)
-      };
+    const requiredCount = Object.keys(SignalCatalogue).length;
+    const imputedFraction = missingSignals.length / requiredCount;
+    const maxImputedFraction = imputation.maxImputedFraction !== undefined ? imputation.maxImputedFraction : 0.5;
+
+    if (imputedFraction > maxImputedFraction) {
+      throw new Error(`Too many missing signals to impute (${missingSignals.length}/${requiredCount}, max ${Math.round(maxImputedFraction * 100)}%): ${missingSignals.join(', ')}`);
+    }
+
+    const completeSignals = { ...signals };
+    for (const signal of missingSignals) {
+      completeSignals[signal] = imputation.populationMeans[signal];
+    }
+
+    const segmentSignals = {};
+    for (const [segmentId, segment] of Object.entries(this.config.customerSegments)) {
+      const defaults = segment.signalDefaults || {};
+      segmentSignals[segmentId] = { ...completeSignals };
+      for (const signal of missingSignals) {
+        if (defaults[signal] !== undefined) segmentSignals[segmentId][signal] = defaults[signal];
+      }
+    }
+
+    return {
+      signals: completeSignals,
+      segmentSignals,
+      imputedFraction,
+      confidencePenalty: imputation.confidencePenalty !== undefined ? imputation.confidencePenalty : 1
+    };
+  }
+
+  // Each segment scores its own imputed vector when imputeSignals made one
+  calculateSegmentProbabilities(signals, segmentSignals = {}) {
+    try {
+      const probabilities = {};
+
+      for (const [segmentId, segment] of Object.entries(this.config.customerSegments)) {
+        const vector = segmentSignals[segmentId] || signals;
+        probabilities[segmentId] = Math.min(Math.max(this.scoreSegment(segment, vector), 0), 1);
+      }
+
+      return probabilities;
     } catch (error) {
       throw new Error(`Probability calculation failed: ${error.message}`);
     }
   }
 
+  // Weighted sum of the segment's configured signals
+  scoreSegment(segment, signals) {
+    const { weights, normalisers = {} } = segment.scoring;
+    let score = 0;
+
+    for (const [signal, weight] of Object.entries(weights)) {
+      score += this.normaliseSignal(signal, signals[signal], normalisers[signal]) * weight;
+    }
+
+    return score;
+  }
+
+  normaliseSignal(signal, value, normaliser) {
+    if (SignalCatalogue[signal].type === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (normaliser) {
+      return Math.min(value / normaliser, 1);
+    }
+    return value;
+  }
+
   selectPrimarySegment(probabilities) {
-    const segments = this.mohdConfig.customerSegments;
+    const segments = this.config.customerSegments;
     let maxScore = 0;
-    let primarySegment = 'international_minimalist';
+    let primarySegment = this.config.defaultSegment;
 
     for (const [segmentId, probability] of Object.entries(probabilities)) {
       const segmentConfig = segments[segmentId];
@@ -402,30 +518,11 @@ class EnterpriseInformationLayerService {
 
   identifyClassificationFactors(signals, primarySegment) {
     const factors = [];
-    const threshold = 0.6;
+    const segment = this.config.customerSegments[primarySegment];
 
     try {
-      switch (primarySegment) {
-        case 'italian_heritage_advocate':
-          if (signals.designer_story_engagement > threshold) factors.push('High designer story engagement');
-          if (signals.craftsmanship_content_focus > threshold) factors.push('Strong craftsmanship interest');
-          if (signals.heritage_content_time > 90) factors.push('Extended heritage content consumption');
-          break;
-        case 'luxury_project_planner':
-          if (signals.multi_room_navigation) factors.push('Multi-room project exploration');
-          if (signals.complete_project_interest > threshold) factors.push('Complete project interest signals');
-          if (signals.budget_premium_indicators > threshold) factors.push('Premium budget indicators');
-          break;
-        case 'international_minimalist':
-          if (signals.clean_aesthetic_preference > threshold) factors.push('Clean aesthetic preference');
-          if (signals.integration_content_focus > threshold) factors.push('Integration-focused browsing');
-          if (signals.contemporary_browsing_pattern > threshold) factors.push('Contemporary design pattern');
-          break;
-        case 'hospitality_professional':
-          if (signals.commercial_scale_indicators > threshold) factors.push('Commercial scale indicators');
-          if (signals.durability_specs_interest > threshold) factors.push('Technical specification focus');
-          if (signals.technical_documentation_focus > threshold) factors.push('Professional documentation interest');
-          break;
+      for (const factor of (segment && segment.classificationFactors) || []) {
+        if (Number(signals[factor.signal]) > factor.above) factors.push(factor.label);
       }
     } catch (error) {
       this.logger.warn('Factor identification partial failure', { error: error.message });
@@ -435,14 +532,9 @@ class EnterpriseInformationLayerService {
   }
 
   selectContentAngle(primarySegment) {
-    const mapping = {
-      'italian_heritage_advocate': 'italian_heritage',
-      'luxury_project_planner': 'project_completion',
-      'international_minimalist': 'contemporary_integration',
-      'hospitality_professional': 'artisanal_excellence'
-    };
-    
-    return mapping[primarySegment] || 'contemporary_integration';
+    const segment = this.config.customerSegments[primarySegment];
+
+    return (segment && segment.contentAngle) || this.config.defaultContentAngle;
   }
 
   calculateConsultationReadiness(signals, primarySegment) {
@@ -452,14 +544,8 @@ class EnterpriseInformationLayerService {
                        signals.product_interaction_quality * 0.3 +
                        (signals.return_visitor_pattern ? 0.2 : 0);
 
-      const multipliers = {
-        'luxury_project_planner': 1.5,
-        'hospitality_professional': 1.3,
-        'italian_heritage_advocate': 1.1,
-        'international_minimalist': 0.8
-      };
-
-      const segmentMultiplier = multipliers[primarySegment] || 1;
+      const segment = this.config.customerSegments[primarySegment];
+      const segmentMultiplier = (segment && segment.consultationMultiplier) || 1;
       return Math.min(Math.max(baseScore * segmentMultiplier, 0), 1);
     } catch (error) {
       this.logger.warn('Consultation readiness calculation failed', { error: error.message });
@@ -467,178 +553,675 @@ class EnterpriseInformationLayerService {
     }
   }
 
-  // Enterprise demo data generator with validation
-  generateDemoSignals(segmentType = 'random') {
-    const signalTemplates = {
-      heritage: {
-        designer_story_engagement: 0.8 + Math.random() * 0.2,
-        craftsmanship_content_focus: 0.7 + Math.random() * 0.3,
-        heritage_content_time: 90 + Math.random() * 120,
-        multi_room_navigation: Math.random() > 0.7,
-        complete_project_interest: 0.2 + Math.random() * 0.3,
-        budget_premium_indicators: 0.4 + Math.random() * 0.3,
-        clean_aesthetic_preference: 0.3 + Math.random() * 0.3,
-        integration_content_focus: 0.2 + Math.random() * 0.3,
-        contemporary_browsing_pattern: 0.1 + Math.random() * 0.3,
-        commercial_scale_indicators: 0.1 + Math.random() * 0.2,
-        durability_specs_interest: 0.1 + Math.random() * 0.2,
-        technical_documentation_focus: 0.1 + Math.random() * 0.2,
-        session_duration: 200 + Math.random() * 400,
-        page_depth: 5 + Math.random() * 10,
-        product_interaction_quality: 0.6 + Math.random() * 0.4,
-        return_visitor_pattern: Math.random() > 0.5
-      },
-      planner: {
-        designer_story_engagement: 0.1 + Math.random() * 0.3,
-        craftsmanship_content_focus: 0.2 + Math.random() * 0.3,
-        heritage_content_time: 10 + Math.random() * 60,
-        multi_room_navigation: true,
-        complete_project_interest: 0.8 + Math.random() * 0.2,
-        budget_premium_indicators: 0.7 + Math.random() * 0.3,
-        clean_aesthetic_preference: 0.4 + Math.random() * 0.4,
-        integration_content_focus: 0.3 + Math.random() * 0.4,
-        contemporary_browsing_pattern: 0.5 + Math.random() * 0.3,
-        commercial_scale_indicators: 0.1 + Math.random() * 0.3,
-        durability_specs_interest: 0.2 + Math.random() * 0.3,
-        technical_documentation_focus: 0.1 + Math.random() * 0.3,
-        session_duration: 400 + Math.random() * 400,
-        page_depth: 8 + Math.random() * 12,
-        product_interaction_quality: 0.8 + Math.random() * 0.2,
-        return_visitor_pattern: Math.random() > 0.3
-      }
+  // Enterprise demo data generator: mode is a segment id, a demoAliases
+  // entry or 'random'. The same seed always yields the same signals.
+  generateDemoSignals(mode = 'random', seed = randomSeed()) {
+    return this.sampleDemoSignals(mode, createRng(seed), seed);
+  }
+
+  sampleDemoSignals(mode, rng, seed) {
+    const segmentIds = Object.keys(this.demoTemplates);
+    const aliases = this.config.demoAliases || {};
+    let segmentId = aliases[mode] || mode;
+
+    if (segmentId === 'random') {
+      segmentId = segmentIds[Math.floor(rng() * segmentIds.length)];
+    }
+
+    if (!this.demoTemplates[segmentId]) {
+      const allowed = ['random', ...Object.keys(aliases), ...segmentIds];
+      const error = new Error(`demo_mode must be one of: ${allowed.join(', ')}`);
+      error.status = 400;
+      error.violations = [{ location: 'body', path: 'demo_mode', code: 'invalid_value', message: error.message }];
+      throw error;
+    }
+
+    return {
+      segment: segmentId,
+      seed,
+      signals: this.demoGenerator.sample(this.demoTemplates[segmentId], rng)
     };
+  }
 
-    if (segmentType === 'random') {
-      const types = Object.keys(signalTemplates);
-      segmentType = types[Math.floor(Math.random() * types.length)];
+  // Bulk synthetic sessions for load demos and testing. segmentMix weights
+  // segment ids (default: uniform); the whole batch is reproducible from seed.
+  generateSyntheticSessions({ count, seed = randomSeed(), segmentMix }) {
+    const rng = createRng(seed);
+    const mix = Object.entries(segmentMix || {});
+    const totalWeight = mix.reduce((sum, [, weight]) => sum + weight, 0);
+    const sessions = [];
+
+    for (let i = 0; i < count; i++) {
+      let mode = 'random';
+      if (totalWeight > 0) {
+        let pick = rng() * totalWeight;
+        mode = (mix.find(([, weight]) => (pick -= weight) < 0) || mix[mix.length - 1])[0];
+      }
+
+      const demo = this.sampleDemoSignals(mode, rng, seed);
+      sessions.push({ session_id: `synthetic-${seed}-${i}`, segment: demo.segment, signals: demo.signals });
     }
 
-    return signalTemplates[segmentType] || signalTemplates.heritage;
+    return { seed, sessions };
   }
 }
 
-// Initialize enterprise service
-const informationService = new EnterpriseInformationLayerService();
-
-// ===============================
-// 🔐 API KEYS MANAGEMENT ENDPOINTS
-// ===============================
+// Initialize one enterprise service per tenant
+const tenantRegistry = new MagneticaTenantRegistry(
+  (config, tenantId) => new EnterpriseInformationLayerService(config, tenantId),
+  { logger: logger.child({ component: 'tenant-registry' }) }
+);
+
+// Raw storefront events -> per-session signal vectors
+const signalAggregator = new SessionSignalAggregator();
+
+// Classification history per tenant/session (SESSION_STORE=memory|file)
+const sessionStore = createSessionStore(logger.child({ component: 'session-store' }), { sessionTtlMs: signalAggregator.sessionTtlMs });
+const analyticsService = new SessionAnalyticsService(sessionStore);
+
+// Readiness above this, or a match of one of HOT_LEAD_RULES, makes a hot
+// lead: consultation_urgency 'high' in profiles and a lead.hot webhook event
+const HIGH_CONSULTATION_READINESS = 0.8;
+const HOT_LEAD_RULES = (process.env.WEBHOOK_HOT_LEAD_RULES || 'immediate_consultation')
+  .split(',').map(ruleId => ruleId.trim()).filter(Boolean);
+
+function hotLeadReasons(record) {
+  const reasons = record.classification.consultation_readiness_score > HIGH_CONSULTATION_READINESS
+    ? ['consultation_readiness']
+    : [];
+  (record.triggered_rules || [])
+    .filter(ruleId => HOT_LEAD_RULES.includes(ruleId))
+    .forEach(ruleId => reasons.push(`rule:${ruleId}`));
+  return reasons;
+}
 
-// Configuration status endpoint
-app.get('/api/v1/config/status', (req, res) => {
+async function lastSessionRecord(tenantId, sessionId) {
   try {
-    const status = apiKeysManager.getConfigurationStatus();
-    
-    res.json({
-      success: true,
-      data: {
-        configuration: status,
-        systemHealth: {
-          apiKeysManager: apiKeysManager.isInitialized,
-          informationService: informationService.isInitialized,
-          environment: process.env.NODE_ENV || 'development'
-        },
-        costs: apiKeysManager.getCostLimits(),
-        features: {
-          demoMode: process.env.ENABLE_DEMO_MODE === 'true',
-          costTracking: process.env.ENABLE_COST_TRACKING === 'true',
-          rateLimiting: process.env.ENABLE_RATE_LIMITING === 'true'
-        }
-      },
-      timestamp: new Date().toISOString()
-    });
+    const records = await sessionStore.getSessionRecords(tenantId, sessionId);
+    return records[records.length - 1] || null;
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve configuration status',
-      timestamp: new Date().toISOString()
+    logger.warn('Session store read failed', { tenant: tenantId, sessionId, error: error.message });
+    return null;
+  }
+}
+
+// Webhook events for what changed since the session's previous record. A
+// session stays hot, or keeps matching a rule, without further events.
+function publishSessionEvents(tenantId, sessionId, previous, record) {
+  const { classification } = record;
+  const segment = classification.primary_segment;
+  const base = { session_id: sessionId, source: record.source };
+
+  if (previous && previous.classification.primary_segment !== segment) {
+    webhooks.emit(tenantId, 'segment.changed', {
+      ...base,
+      previous_segment: previous.classification.primary_segment,
+      segment,
+      confidence_score: classification.confidence_score
     });
   }
-});
 
-// API Keys validation endpoint
-app.get('/api/v1/config/validate-keys', async (req, res) => {
-  try {
-    const validationResults = await apiKeysManager.validateAPIKeys();
-    
-    res.json({
-      success: true,
-      data: {
-        validation: validationResults,
-        summary: {
-          totalKeys: Object.keys(validationResults).length,
-          validKeys: Object.values(validationResults).filter(r => r.valid).length,
-          systemReady: apiKeysManager.isInitialized
-        }
-      },
-      timestamp: new Date().toISOString()
+  const tenant = tenantRegistry.getTenant(tenantId);
+  const rules = tenant ? tenant.service.config.businessRules || {} : {};
+  const previousRules = previous ? previous.triggered_rules || [] : [];
+  for (const ruleId of record.triggered_rules.filter(candidate => !previousRules.includes(candidate))) {
+    const rule = Object.entries(rules).find(([key, candidate]) => (candidate.id || key) === ruleId);
+    webhooks.emit(tenantId, 'rule.triggered', {
+      ...base,
+      rule_id: ruleId,
+      rule_name: rule ? rule[1].name : null,
+      segment
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'API keys validation failed',
-      details: error.message,
-      timestamp: new Date().toISOString()
+  }
+
+  const reasons = hotLeadReasons(record);
+  if (reasons.length > 0 && !(previous && hotLeadReasons(previous).length > 0)) {
+    webhooks.emit(tenantId, 'lead.hot', {
+      ...base,
+      segment,
+      confidence_score: classification.confidence_score,
+      consultation_readiness_score: classification.consultation_readiness_score,
+      reasons
     });
   }
-});
+}
+
+// Storage failures are logged but never fail the classification itself.
+// Demo and synthetic records never raise webhook events.
+async function recordSessionClassification(tenantId, sessionId, record) {
+  const previous = record.demo_mode ? null : await lastSessionRecord(tenantId, sessionId);
 
-// OpenAI configuration endpoint
-app.get('/api/v1/config/openai', (req, res) => {
   try {
-    const config = apiKeysManager.getOpenAIConfig();
-    
-    // Don't expose the actual API key - only configuration status
-    res.json({
-      success: true,
-      data: {
-        configured: !!config.apiKey && !config.apiKey.includes('your-'),
-        model: config.model,
-        maxTokens: config.maxTokens,
-        hasOrganization: !!config.organization,
-        status: config.apiKey && config.apiKey.startsWith('sk-') ? 'valid_format' : 'invalid_format'
-      },
-      timestamp: new Date().toISOString()
-    });
+    await sessionStore.recordClassification(tenantId, sessionId, record);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve OpenAI configuration',
-      timestamp: new Date().toISOString()
-    });
+    logger.warn('Session store write failed', { tenant: tenantId, sessionId, error: error.message });
   }
+
+  if (!record.demo_mode) {
+    publishSessionEvents(tenantId, sessionId, previous, record);
+  }
+}
+
+// Spend of AI-backed calls per tenant/day (COST_LEDGER_STORE=memory|file)
+const costLedger = createCostLedger(apiKeysManager.getCostLimits(), logger.child({ component: 'cost-ledger' }));
+costLedger.onRecord(entry => {
+  const labels = { tenant: entry.tenant_id, operation: entry.operation, model: entry.model };
+  metrics.aiCalls.inc(labels);
+  metrics.aiCost.inc(labels, entry.cost_usd);
 });
 
-// ===============================
-// 🧪 DEMO & BUSINESS ENDPOINTS
-// ===============================
+// Text embeddings (EMBEDDING_BACKEND=openai|stub), billed to the ledger
+const embeddingService = new MagneticaEmbeddingService(apiKeysManager, costLedger);
+
+// Product vectors, one namespace per tenant (VECTOR_STORE=pinecone|memory)
+const vectorStore = createVectorStore(apiKeysManager);
+const similaritySearch = new MagneticaSimilaritySearch(vectorStore, embeddingService, sessionStore);
+
+// Catalogue -> vector store jobs; per-tenant cursors in INGESTION_STATE_PATH
+const catalogueIngestion = new MagneticaCatalogueIngestion({
+  apiKeysManager,
+  embeddingService,
+  vectorStore,
+  costLedger,
+  logger,
+  statePath: process.env.INGESTION_STATE_PATH || path.join(__dirname, 'data', 'ingestion', 'state.json')
+});
 
-// Health check with enterprise metrics
-app.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    version: '1.0.0-ENTERPRISE',
-    security: 'HARDENED',
-    validation: 'STRICT'
-  });
+// Image analysis jobs (VISION_PROVIDER=openai|stub, VISION_JOB_STORE=memory|file)
+const visionQueue = new MagneticaVisionQueue({
+  store: createVisionJobStore(logger.child({ component: 'vision-job-store' })),
+  provider: createVisionProvider(apiKeysManager),
+  costLedger,
+  tenantRegistry,
+  apiKeysManager,
+  logger
+});
+visionQueue.start().catch(error => {
+  logger.error('Vision jobs could not be resumed', { error: error.message });
 });
 
-// Enterprise demo endpoint
-app.get('/api/v1/demo', (req, res) => {
-  res.json({
-    message: '🚀 VDE Enterprise Backend API - SECURITY HARDENED',
-    version: '1.0.0-ENTERPRISE',
-    timestamp: new Date().toISOString(),
+// Signed outbound events (WEBHOOK_STORE=memory|file); pending retries
+// resume after a restart
+const webhooks = new MagneticaWebhookDispatcher({
+  store: createWebhookStore(logger.child({ component: 'webhook-store' })),
+  logger: logger.child({ component: 'webhooks' }),
+  options: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || undefined,
+    backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || undefined,
+    maxBackoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS, 10) || undefined,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || undefined,
+    allowPrivateHosts: (process.env.WEBHOOK_ALLOW_PRIVATE_URLS || '')
+      .split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+  }
+});
+webhooks.onAttempt(({ tenant_id: tenant, event, outcome }) => {
+  metrics.webhookDeliveries.inc({ tenant, event, outcome });
+});
+webhooks.start().catch(error => {
+  logger.error('Webhook deliveries could not be resumed', { error: error.message });
+});
+
+const authService = new MagneticaAuthService(tenantRegistry);
+
+// Authentication: X-API-Key (storefronts) or Authorization: Bearer <JWT>
+// (dashboards). Callers without credentials get ANONYMOUS_SCOPES.
+app.use('/api/v1', (req, res, next) => {
+  try {
+    req.auth = authService.authenticate(req) || authService.anonymousIdentity();
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+      path: req.baseUrl + req.path
+    });
+  }
+});
+
+// Scope check for a route; anonymous callers get 401, others 403
+function requireScope(scope) {
+  const middleware = (req, res, next) => {
+    if (authService.hasScope(req.auth, scope)) {
+      return next();
+    }
+
+    const anonymous = req.auth.type === 'anonymous';
+    res.status(anonymous ? 401 : 403).json({
+      success: false,
+      error: anonymous ? 'Authentication required' : `Missing required scope '${scope}'`,
+      required_scope: scope,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  };
+  middleware.apiDoc = { scope };
+  return middleware;
+}
+
+// Tenant resolution middleware: every tenant-scoped route reads req.tenant.
+// Tenant-bound credentials pin the tenant; X-Tenant-ID may only repeat it.
+function resolveTenant(req, res, next) {
+  const requested = req.get('X-Tenant-ID');
+  const bound = req.auth.tenantId && req.auth.tenantId !== '*' ? req.auth.tenantId : null;
+
+  if (bound && requested && requested !== bound) {
+    return res.status(403).json({
+      success: false,
+      error: 'Credentials are not valid for this tenant',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const tenant = tenantRegistry.getTenant(bound || requested || tenantRegistry.defaultTenantId);
+
+  if (!tenant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Unknown tenant',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  req.tenant = tenant;
+  next();
+}
+resolveTenant.apiDoc = { tenant: true };
+
+const adminGuards = [requireScope('config:admin'), resolveTenant];
+
+const usageMeter = new MagneticaUsageMeter(createUsageStore(logger.child({ component: 'usage-store' })), {
+  rateLimiting: rateLimitingEnabled
+});
+
+// Per-client rate limit and per-tenant monthly quota for a route class
+// (config/usage-tiers.js). Runs after resolveTenant; fails open if the
+// counter store is unavailable.
+function meterUsage(routeClass) {
+  const middleware = async (req, res, next) => {
+    let result;
+    try {
+      result = await usageMeter.consume({ tenant: req.tenant, identity: req.auth, ip: req.ip, routeClass });
+    } catch (error) {
+      logger.warn('Usage metering unavailable', { routeClass, error: error.message });
+      return next();
+    }
+
+    const { rate, quota } = result;
+    if (rate) {
+      res.set({
+        'RateLimit-Limit': rate.limit,
+        'RateLimit-Remaining': rate.remaining,
+        'RateLimit-Reset': Math.max(Math.ceil((rate.reset_at - Date.now()) / 1000), 0)
+      });
+    }
+    if (quota) {
+      res.set({
+        'X-Quota-Limit': quota.limit,
+        'X-Quota-Remaining': quota.remaining,
+        'X-Quota-Reset': quota.reset_at.toISOString()
+      });
+    }
+
+    if (result.allowed) {
+      return next();
+    }
+
+    metrics.rateLimitRejections.inc({ tenant: req.tenant.id, limiter: result.reason, route_class: routeClass });
+    const resetAt = result.reason === 'rate_limit' ? rate.reset_at : quota.reset_at;
+    res.set('Retry-After', Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1));
+    res.status(429).json({
+      success: false,
+      error: result.reason === 'rate_limit'
+        ? `Rate limit exceeded for ${routeClass} requests`
+        : `Monthly ${routeClass} quota exhausted`,
+      reason: result.reason,
+      retry_at: resetAt.toISOString(),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  };
+  middleware.apiDoc = { routeClass };
+  return middleware;
+}
+
+// Budget gate for AI-backed routes. Past the emergency limit (platform-wide)
+// or the daily limit in reject mode the call is refused; past the daily
+// limit in degrade mode req.costBudget.state is 'degraded' and the route
+// falls back to its non-billed path.
+function requireCostBudget(req, res, next) {
+  const budget = costLedger.checkBudget(req.tenant);
+  req.costBudget = budget;
+  res.set('X-Cost-Budget-State', budget.state);
+
+  if (budget.state !== 'blocked') {
+    return next();
+  }
+
+  const emergency = budget.reason === 'emergency_limit';
+  logger.warn('AI call refused by cost budget', { tenant: req.tenant.id, reason: budget.reason, path: req.path });
+  res.status(emergency ? 503 : 429).json({
+    success: false,
+    error: emergency
+      ? 'AI processing halted: platform emergency cost limit reached'
+      : 'Daily AI cost limit reached for this tenant',
+    reason: budget.reason,
+    budget,
+    timestamp: new Date().toISOString(),
+    path: req.path
+  });
+}
+requireCostBudget.apiDoc = { costBudget: true };
+
+// ===============================
+// 🔐 API KEYS MANAGEMENT ENDPOINTS
+// ===============================
+
+// Configuration status endpoint
+routes.get('/api/v1/config/status', { tags: ['config'], summary: 'Configuration, secret and system status' }, requireScope('config:read'), async (req, res) => {
+  try {
+    const status = apiKeysManager.getConfigurationStatus();
+    const vectorStats = await vectorStore.describe();
+    
+    res.json({
+      success: true,
+      data: {
+        configuration: status,
+        // Active key version and fingerprint per credential, never the value
+        secrets: apiKeysManager.getSecretsStatus(),
+        systemHealth: {
+          apiKeysManager: apiKeysManager.isInitialized,
+          informationService: tenantRegistry.isInitialized(),
+          tenants: tenantRegistry.listTenantIds().length,
+          vectorStore: {
+            backend: vectorStats.backend,
+            ready: vectorStats.ready,
+            dimension: vectorStats.dimension,
+            vectorCount: vectorStats.vector_count,
+            namespaceCount: vectorStats.namespace_count,
+            error: vectorStats.error
+          },
+          environment: process.env.NODE_ENV || 'development'
+        },
+        costs: {
+          ...apiKeysManager.getCostLimits(),
+          spentTodayUsd: Math.round(costLedger.getPlatformDayTotal(new Date().toISOString().slice(0, 10)) * 1e6) / 1e6,
+          limitMode: costLedger.mode
+        },
+        features: {
+          demoMode: process.env.ENABLE_DEMO_MODE === 'true',
+          costTracking: costLedger.enabled,
+          rateLimiting: usageMeter.rateLimiting
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve configuration status',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// API Keys validation endpoint
+// Live probes against each provider, cached for CREDENTIAL_PROBE_TTL_MS;
+// ?refresh=true forces new probes
+routes.get('/api/v1/config/validate-keys', { tags: ['config'], summary: 'Validate provider API keys with live probes' }, requireScope('config:read'), validateRequest(RequestSchemas.validateKeys), async (req, res) => {
+  try {
+    const validationResults = await apiKeysManager.validateAPIKeys({ refresh: req.query.refresh === 'true' });
+    const byStatus = {};
+    Object.values(validationResults).forEach(r => { byStatus[r.status] = (byStatus[r.status] || 0) + 1; });
+    
+    res.json({
+      success: true,
+      data: {
+        validation: validationResults,
+        summary: {
+          totalKeys: Object.keys(validationResults).length,
+          validKeys: Object.values(validationResults).filter(r => r.valid).length,
+          byStatus,
+          systemReady: apiKeysManager.isInitialized
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'API keys validation failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// OpenAI configuration endpoint
+routes.get('/api/v1/config/openai', { tags: ['config'], summary: 'OpenAI, embedding and vision configuration' }, requireScope('config:read'), (req, res) => {
+  try {
+    const config = apiKeysManager.getOpenAIConfig();
+    
+    // Don't expose the actual API key - only configuration status
+    res.json({
+      success: true,
+      data: {
+        configured: !!config.apiKey && !config.apiKey.includes('your-'),
+        model: config.model,
+        maxTokens: config.maxTokens,
+        hasOrganization: !!config.organization,
+        status: config.apiKey && config.apiKey.startsWith('sk-') ? 'valid_format' : 'invalid_format',
+        embeddings: {
+          backend: embeddingService.getBackend(),
+          model: config.embeddingModel,
+          dimensions: config.embeddingDimensions,
+          batchSize: config.maxEmbeddingsPerBatch
+        },
+        vision: {
+          provider: visionQueue.provider.name,
+          model: visionQueue.provider.model,
+          batchSize: apiKeysManager.getCostLimits().maxImagesPerBatch
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve OpenAI configuration',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ===============================
+// 🧪 DEMO & BUSINESS ENDPOINTS
+// ===============================
+
+// Readiness checks (GET /health/ready). HEALTH_OPTIONAL_CHECKS lists checks
+// that are reported without taking the instance out of rotation.
+const healthChecks = new MagneticaHealthChecks({
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || undefined,
+  optional: (process.env.HEALTH_OPTIONAL_CHECKS || '').split(',').map(name => name.trim()).filter(Boolean)
+});
+
+healthChecks.register('config', () => {
+  const tenants = tenantRegistry.listTenantIds();
+  const servicesReady = tenantRegistry.isInitialized();
+  return {
+    status: apiKeysManager.isInitialized && servicesReady && tenants.length > 0 ? 'pass' : 'fail',
+    api_keys_manager: apiKeysManager.isInitialized,
+    tenants: tenants.length,
+    tenant_services: servicesReady
+  };
+});
+
+// Missing keys only warn in demo mode, where stubs stand in for them
+healthChecks.register('secrets', () => {
+  const { missing } = apiKeysManager.validateRequiredKeys();
+  const demoMode = process.env.ENABLE_DEMO_MODE === 'true';
+  return {
+    status: missing.length === 0 ? 'pass' : demoMode ? 'warn' : 'fail',
+    missing,
+    vault: apiKeysManager.getConfigurationStatus().secretsVault
+  };
+});
+
+healthChecks.register('vector_store', async () => {
+  const { backend, ready, vector_count: vectorCount, error } = await vectorStore.describe();
+  return { status: ready ? 'pass' : 'fail', backend, vector_count: vectorCount, error };
+});
+
+// Only stores that persist to disk need a writable directory
+healthChecks.register('storage', () => {
+  const directories = [tenantRegistry.configDir, path.dirname(catalogueIngestion.statePath)];
+  if (sessionStore.backend === 'file') directories.push(path.dirname(sessionStore.filePath));
+  if (costLedger.backend === 'file') directories.push(path.dirname(costLedger.filePath));
+  if (visionQueue.store.backend === 'file') directories.push(visionQueue.store.directory);
+  if (webhooks.store.backend === 'file') directories.push(webhooks.store.directory);
+  return checkWritable(directories);
+});
+
+// Metering fails open, so an unreachable Redis degrades limits but not service
+healthChecks.register('usage_store', () => {
+  const store = usageMeter.store;
+  if (store.backend !== 'redis') {
+    return { status: 'pass', backend: store.backend };
+  }
+  return { status: store.client.isReady ? 'pass' : 'warn', backend: store.backend, error: store.lastError || undefined };
+});
+
+// The emergency limit stops every AI-backed route on the platform; tenants
+// over their own daily limit only warn
+healthChecks.register('cost_budget', () => {
+  const budgets = tenantRegistry.listTenantIds()
+    .map(tenantId => ({ tenantId, ...costLedger.checkBudget(tenantRegistry.getTenant(tenantId)) }));
+  const overDaily = budgets.filter(budget => budget.reason === 'daily_limit').map(budget => budget.tenantId);
+  const emergency = budgets.some(budget => budget.reason === 'emergency_limit');
+
+  return {
+    status: emergency ? 'fail' : overDaily.length > 0 ? 'warn' : 'pass',
+    tracking: costLedger.enabled,
+    platform_spent_today_usd: budgets.length > 0 ? budgets[0].platform_spent_today_usd : 0,
+    emergency_limit_usd: costLedger.limits.emergencyLimit,
+    tenants_over_daily_limit: overDaily
+  };
+});
+
+// Liveness: the process is up and serving requests. Load balancers restart
+// on failure, so it never depends on external services.
+routes.get('/health/live', { tags: ['health'], summary: 'Liveness probe' }, (req, res) => {
+  res.set('Cache-Control', 'no-store').json({
+    success: true,
+    status: 'pass',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Constant-time comparison of the Authorization header with `Bearer <token>`
+function bearerTokenMatches(req, token) {
+  const presented = Buffer.from(req.get('Authorization') || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+// Check detail names secrets, spend and tenants: it needs HEALTH_TOKEN as
+// bearer token or a credential with config:read. Bad credentials just get
+// the public view.
+function canReadHealthDetail(req) {
+  if (process.env.HEALTH_TOKEN && bearerTokenMatches(req, process.env.HEALTH_TOKEN)) {
+    return true;
+  }
+  try {
+    const identity = authService.authenticate(req);
+    return !!identity && authService.hasScope(identity, 'config:read');
+  } catch (error) {
+    return false;
+  }
+}
+
+// Readiness: 200 while every critical check passes, 503 otherwise. The
+// public view is the overall status and each check's pass/warn/fail;
+// canReadHealthDetail() callers get the full detail. /health is kept as an
+// alias.
+routes.get(['/health/ready', '/health'], {
+  tags: ['health'],
+  summary: 'Readiness probe; per-check detail with HEALTH_TOKEN or config:read',
+  responses: { 503: 'A critical check is failing' }
+}, async (req, res) => {
+  const { ready, status, checks } = await healthChecks.run();
+
+  if (!ready) {
+    logger.warn('Readiness check failed', {
+      failing: Object.keys(checks).filter(name => checks[name].status === 'fail')
+    });
+  }
+
+  const detailed = canReadHealthDetail(req);
+  res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+    success: ready,
+    status,
+    ...(detailed ? { version: '1.0.0-ENTERPRISE' } : {}),
+    checks: detailed
+      ? checks
+      : Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { status: check.status }])),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus scrape endpoint: scrapers send Authorization: Bearer
+// <METRICS_TOKEN>. Without a token it is only open in demo mode; otherwise
+// it stays disabled rather than publishing tenant traffic and spend.
+routes.get('/metrics', {
+  tags: ['health'],
+  summary: 'Prometheus metrics',
+  contentType: METRICS_CONTENT_TYPE,
+  responses: {
+    401: 'The bearer token does not match METRICS_TOKEN',
+    503: 'METRICS_TOKEN is not set outside demo mode'
+  }
+}, (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token && process.env.ENABLE_DEMO_MODE !== 'true') {
+    return res.status(503).json({
+      success: false,
+      error: 'Metrics disabled: set METRICS_TOKEN',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+  if (token && !bearerTokenMatches(req, token)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Metrics token required',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
+// Enterprise demo endpoint
+routes.get('/api/v1/demo', { tags: ['demo'], summary: 'Platform overview and demo information' }, (req, res) => {
+  const { count, sum } = metrics.classificationDuration.summary();
+
+  res.json({
+    message: '🚀 VDE Enterprise Backend API - SECURITY HARDENED',
+    version: '1.0.0-ENTERPRISE',
+    timestamp: new Date().toISOString(),
     status: 'ENTERPRISE_READY',
     features: {
       informationLayer: 'enterprise_validated',
       segmentClassification: 'security_hardened',
       mohdConfig: 'production_ready',
-      performance: '<1ms',
+      performance: {
+        classifications: count,
+        averageClassificationMs: count > 0 ? Math.round((sum / count) * 1e6) / 1e3 : null
+      },
       security: 'enterprise_grade',
       validation: 'strict_input_validation',
       rateLimit: 'enabled',
@@ -647,145 +1230,1001 @@ app.get('/api/v1/demo', (req, res) => {
   });
 });
 
-// Enterprise segment classification with validation
-app.post('/api/v1/segment/classify', validateInput(ValidationSchemas.segmentClassifySchema), (req, res) => {
+// Enterprise segment classification with validation
+routes.post('/api/v1/segment/classify', { tags: ['classification'], summary: 'Classify a session into a behavioural segment' }, requireScope('classify'), resolveTenant, validateRequest(RequestSchemas.segmentClassify), meterUsage('classification'), async (req, res) => {
+  try {
+    const { signals, demo_mode, classification_mode, seed } = req.body;
+    const informationService = req.tenant.service;
+    
+    let testSignals = signals;
+    let demoSeed = null;
+    if (demo_mode) {
+      const demo = informationService.generateDemoSignals(demo_mode, seed);
+      testSignals = demo.signals;
+      demoSeed = demo.seed;
+    }
+
+    // Final validation check
+    if (!testSignals) {
+      return res.status(400).json({
+        success: false,
+        error: 'No signals provided and demo_mode not specified',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+    
+    const result = informationService.validateSegmentClassification(testSignals, { mode: classification_mode });
+    const triggeredRules = informationService.evaluateBusinessRules(testSignals, result);
+
+    const sessionId = req.get('X-Session-ID');
+    if (sessionId) {
+      await recordSessionClassification(req.tenant.id, sessionId, {
+        source: 'classify',
+        demo_mode: demo_mode || false,
+        signals: testSignals,
+        classification: result,
+        triggered_rules: triggeredRules.map(rule => rule.rule_id)
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        classification: result,
+        triggered_rules: triggeredRules,
+        signals_used: testSignals,
+        processing_info: {
+          timestamp: new Date().toISOString(),
+          demo_mode: demo_mode || false,
+          demo_seed: demoSeed,
+          classification_mode: classification_mode || 'strict',
+          tenant: req.tenant.id,
+          algorithm_version: '1.0.0-ENTERPRISE',
+          security_validated: true
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      violations: error.violations || [],
+      timestamp: new Date().toISOString(),
+      path: req.path,
+      security: 'validation_failed'
+    });
+  }
+});
+
+// Bulk synthetic sessions for load demos and testing. With persist: true the
+// sessions are recorded (as demo data) with timestamps spread over spread_hours.
+routes.post('/api/v1/demo/sessions', { tags: ['demo'], summary: 'Generate synthetic sessions' }, adminGuards, validateRequest(RequestSchemas.syntheticSessions), async (req, res) => {
+  const { count, seed, segment_mix, persist = false, spread_hours = 0 } = req.body;
+  const informationService = req.tenant.service;
+
+  try {
+    const batch = informationService.generateSyntheticSessions({ count, seed, segmentMix: segment_mix });
+    const timestampRng = createRng(`${batch.seed}:timestamps`);
+    const now = Date.now();
+    const distribution = {};
+    const sessions = [];
+
+    for (const session of batch.sessions) {
+      const classification = informationService.validateSegmentClassification(session.signals);
+      distribution[classification.primary_segment] = (distribution[classification.primary_segment] || 0) + 1;
+
+      if (persist) {
+        await recordSessionClassification(req.tenant.id, session.session_id, {
+          timestamp: new Date(now - timestampRng() * spread_hours * 60 * 60 * 1000).toISOString(),
+          source: 'synthetic',
+          demo_mode: true,
+          signals: session.signals,
+          classification,
+          triggered_rules: informationService.evaluateBusinessRules(session.signals, classification).map(rule => rule.rule_id)
+        });
+      }
+
+      sessions.push({
+        session_id: session.session_id,
+        generated_segment: session.segment,
+        primary_segment: classification.primary_segment,
+        confidence_score: classification.confidence_score
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { seed: batch.seed, count, persisted: persist, distribution, sessions },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      violations: error.violations || [],
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Raw behavioural event ingestion: events are rolled up per X-Session-ID and
+// the session is reclassified on every batch
+routes.post('/api/v1/events', { tags: ['classification'], summary: 'Ingest behavioural events and reclassify the session' }, requireScope('events:write'), resolveTenant, validateRequest(RequestSchemas.events), meterUsage('classification'), async (req, res) => {
+  const sessionId = req.get('X-Session-ID');
+  const { events } = req.body;
+
+  try {
+    const informationService = req.tenant.service;
+    const state = signalAggregator.ingest(req.tenant.id, sessionId, events);
+    const signals = signalAggregator.deriveSignals(state);
+    const classification = informationService.validateSegmentClassification(signals);
+    const triggeredRules = informationService.evaluateBusinessRules(signals, classification);
+
+    await recordSessionClassification(req.tenant.id, sessionId, {
+      source: 'events',
+      demo_mode: false,
+      signals,
+      classification,
+      triggered_rules: triggeredRules.map(rule => rule.rule_id)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        session_id: sessionId,
+        events_received: events.length,
+        total_events: state.eventCount,
+        signals,
+        classification,
+        triggered_rules: triggeredRules
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Event processing failed',
+      details: error.message,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// MOHD configuration endpoint
+routes.get('/api/v1/mohd/config', { tags: ['config'], summary: 'MOHD segments, content angles and business rules of the tenant' }, requireScope('config:read'), resolveTenant, (req, res) => {
+  const { config } = req.tenant.service;
+
+  res.json({
+    success: true,
+    data: {
+      tenant: { id: req.tenant.id, name: req.tenant.name },
+      config,
+      stats: {
+        segments: Object.keys(config.customerSegments).length,
+        contentAngles: Object.keys(config.contentAngles).length,
+        businessRules: Object.keys(config.businessRules).length,
+        security_level: 'ENTERPRISE'
+      }
+    }
+  });
+});
+
+// Session analytics computed from stored classifications
+// Query: from, to (ISO dates), segment, granularity (hour|day|week), include_demo
+routes.get('/api/v1/session-analytics', { tags: ['analytics'], summary: 'Session analytics from stored classifications' }, requireScope('analytics:read'), resolveTenant, validateRequest(RequestSchemas.sessionAnalytics), meterUsage('analytics'), async (req, res) => {
+  const parsed = analyticsService.parseQuery(req.query, req.tenant.service.config.customerSegments);
+
+  if (parsed.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid analytics query',
+      violations: parsed.errors,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  try {
+    const analytics = await analyticsService.computeAnalytics(req.tenant.id, parsed.query);
+
+    res.json({
+      success: true,
+      data: analytics,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        tenant: req.tenant.id,
+        source: `session_store_${sessionStore.backend}`
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Session analytics computation failed',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Usage of the calling client: its rate windows and its tenant's quotas
+routes.get('/api/v1/usage', {
+  tags: ['analytics'],
+  summary: 'Rate windows and quotas of the calling client',
+  responses: { 401: 'Authentication required' }
+}, resolveTenant, async (req, res) => {
+  if (req.auth.type === 'anonymous') {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await usageMeter.getUsage(req.tenant, req.auth, req.ip),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(503).json({
+      success: false,
+      error: 'Usage store unavailable',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Visual discovery: catalogue items similar to a product, a text query or
+// a catalogue image. With X-Session-ID, items matching the content angle of
+// the session's segment are boosted (disable with "rerank": false).
+routes.post('/api/v1/search/similar', { tags: ['search'], summary: 'Find catalogue items similar to a product, text or image' }, requireScope('search'), resolveTenant, validateRequest(RequestSchemas.similarSearch), meterUsage('search'), requireCostBudget, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const result = await similaritySearch.search(req.tenant, req.body, {
+      sessionId: req.get('X-Session-ID'),
+      budget: req.costBudget
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        processing_info: {
+          tenant: req.tenant.id,
+          vector_store: vectorStore.backend,
+          embedding_backend: result.reference.type === 'text' ? embeddingService.getBackend() : null,
+          processing_time_ms: Date.now() - startTime
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      logger.error('Similarity search failed', { tenant: req.tenant.id, error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Similarity search failed',
+      reason: error.reason,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Starts a catalogue ingestion job (MOHD API or an export file in
+// CATALOGUE_IMPORT_DIR). Incremental unless "full": true.
+routes.post('/api/v1/ingestion/jobs', {
+  tags: ['ingestion'],
+  summary: 'Start a catalogue ingestion job',
+  status: 202,
+  responses: { 409: 'A job is already running for the tenant' }
+}, adminGuards, validateRequest(RequestSchemas.ingestionJob), requireCostBudget, (req, res) => {
+  try {
+    const job = catalogueIngestion.startJob(req.tenant, req.body);
+    res.status(202).json({
+      success: true,
+      data: catalogueIngestion.summarise(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Ingestion job could not be started',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Recent jobs of the tenant (newest first) and its incremental cursor
+routes.get('/api/v1/ingestion/jobs', { tags: ['ingestion'], summary: 'Recent ingestion jobs and the incremental cursor' }, adminGuards, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      tenant: req.tenant.id,
+      cursor: catalogueIngestion.getCursor(req.tenant.id),
+      jobs: catalogueIngestion.listJobs(req.tenant.id)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// One job with its failed records
+routes.get('/api/v1/ingestion/jobs/:jobId', { tags: ['ingestion'], summary: 'Ingestion job with its failed records' }, adminGuards, validateRequest(RequestSchemas.ingestionJobStatus), (req, res) => {
+  const job = catalogueIngestion.getJob(req.tenant.id, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Ingestion job '${req.params.jobId}' not found`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  res.json({ success: true, data: job, timestamp: new Date().toISOString() });
+});
+
+// Queues style/material/room analysis of image URLs, in batches of
+// MAX_IMAGES_PER_BATCH
+routes.post('/api/v1/vision/jobs', { tags: ['vision'], summary: 'Queue image analysis', status: 202 }, adminGuards, validateRequest(RequestSchemas.visionJob), requireCostBudget, async (req, res) => {
+  try {
+    const job = await visionQueue.createJob(req.tenant, req.body);
+    res.status(202).json({
+      success: true,
+      data: visionQueue.summarise(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Vision job could not be created', { tenant: req.tenant.id, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Vision job could not be created',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+routes.get('/api/v1/vision/jobs', { tags: ['vision'], summary: 'Recent vision jobs' }, adminGuards, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { tenant: req.tenant.id, jobs: await visionQueue.listJobs(req.tenant.id) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Vision jobs could not be listed',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Job with per-image status, attributes and cost
+routes.get('/api/v1/vision/jobs/:jobId', { tags: ['vision'], summary: 'Vision job with per-image status, attributes and cost' }, adminGuards, validateRequest(RequestSchemas.visionJobAction), async (req, res) => {
+  try {
+    const job = await visionQueue.getJob(req.tenant.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Vision job '${req.params.jobId}' not found`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    res.json({ success: true, data: { ...job, counts: visionQueue.summarise(job).counts }, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Vision job could not be read',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// POST /vision/jobs/:jobId/cancel and /resume
+routes.post('/api/v1/vision/jobs/:jobId/:action(cancel|resume)', {
+  tags: ['vision'],
+  summary: 'Cancel or resume a vision job',
+  responses: { 409: 'The job is not in a state that allows the action' }
+}, adminGuards, validateRequest(RequestSchemas.visionJobAction), async (req, res) => {
+  try {
+    const job = req.params.action === 'cancel'
+      ? await visionQueue.cancel(req.tenant.id, req.params.jobId)
+      : await visionQueue.resume(req.tenant.id, req.params.jobId);
+    res.status(req.params.action === 'resume' ? 202 : 200).json({
+      success: true,
+      data: visionQueue.summarise(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : `Vision job could not be ${req.params.action === 'cancel' ? 'cancelled' : 'resumed'}`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Webhook subscriptions of the tenant. The signing secret is returned once,
+// on creation.
+routes.post('/api/v1/webhooks', {
+  tags: ['webhooks'],
+  summary: 'Subscribe a URL to webhook events',
+  status: 201,
+  responses: {
+    400: 'Invalid body, or a URL that resolves to a private, loopback or link-local address',
+    409: 'The tenant has reached its subscription limit',
+    502: 'The URL\'s host could not be resolved'
+  }
+}, adminGuards, validateRequest(RequestSchemas.webhookCreate), async (req, res) => {
+  try {
+    const subscription = await webhooks.createSubscription(req.tenant.id, req.body);
+    logger.info('📨 Webhook created', { tenant: req.tenant.id, webhook: subscription.id, events: subscription.events, by: req.auth.subject });
+    res.status(201).json({ success: true, data: subscription, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Webhook could not be created',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+routes.get('/api/v1/webhooks', { tags: ['webhooks'], summary: 'List webhook subscriptions' }, adminGuards, async (req, res) => {
+  try {
+    const subscriptions = await webhooks.listSubscriptions(req.tenant.id);
+    res.json({
+      success: true,
+      data: { tenant: req.tenant.id, events: MagneticaWebhookDispatcher.EVENTS, count: subscriptions.length, items: subscriptions },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Webhooks could not be listed',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Delivery log, newest first. ?status=dead lists the dead letters.
+routes.get('/api/v1/webhooks/deliveries', { tags: ['webhooks'], summary: 'Webhook delivery log' }, adminGuards, validateRequest(RequestSchemas.webhookDeliveries), async (req, res) => {
+  try {
+    const { limit, ...filters } = req.query;
+    const deliveries = await webhooks.listDeliveries(req.tenant.id, { ...filters, limit: limit ? parseInt(limit, 10) : undefined });
+    res.json({
+      success: true,
+      data: { tenant: req.tenant.id, count: deliveries.length, items: deliveries },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Webhook deliveries could not be listed',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Requeues a delivered or dead delivery with a fresh set of attempts
+routes.post('/api/v1/webhooks/deliveries/:deliveryId/redeliver', {
+  tags: ['webhooks'],
+  summary: 'Redeliver a webhook delivery',
+  status: 202,
+  responses: { 409: 'The delivery is still pending or its webhook was deleted' }
+}, adminGuards, validateRequest(RequestSchemas.webhookDelivery), async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.tenant.id, req.params.deliveryId);
+    res.status(202).json({ success: true, data: delivery, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Webhook delivery could not be requeued',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// Sends a webhook.test event to one subscription
+routes.post('/api/v1/webhooks/:webhookId/test', { tags: ['webhooks'], summary: 'Send a test event', status: 202 }, adminGuards, validateRequest(RequestSchemas.webhook), async (req, res) => {
   try {
-    const { signals, demo_mode } = req.body;
-    
-    let testSignals = signals;
-    if (demo_mode) {
-      testSignals = informationService.generateDemoSignals(demo_mode);
+    const delivery = await webhooks.sendTest(req.tenant.id, req.params.webhookId);
+    res.status(202).json({ success: true, data: delivery, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Test event could not be queued',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+routes.delete('/api/v1/webhooks/:webhookId', { tags: ['webhooks'], summary: 'Delete a webhook subscription' }, adminGuards, validateRequest(RequestSchemas.webhook), async (req, res) => {
+  try {
+    const subscription = await webhooks.deleteSubscription(req.tenant.id, req.params.webhookId);
+    logger.info('📨 Webhook deleted', { tenant: req.tenant.id, webhook: subscription.id, by: req.auth.subject });
+    res.json({ success: true, data: subscription, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Webhook could not be deleted',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+const COSTS_DEFAULT_DAYS = 30;
+const COSTS_MAX_DAYS = 366;
+
+// AI spend of the tenant: today's budget, daily and monthly breakdowns
+routes.get('/api/v1/costs', { tags: ['analytics'], summary: 'AI spend and budget of the tenant' }, requireScope('analytics:read'), resolveTenant, validateRequest(RequestSchemas.costs), (req, res) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = req.query.to || today;
+  const from = req.query.from ||
+    new Date(Date.parse(`${to}T00:00:00Z`) - (COSTS_DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+
+  if (days < 1 || days > COSTS_MAX_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid costs query',
+      violations: [{
+        location: 'query',
+        path: 'from',
+        code: 'invalid_range',
+        message: days < 1 ? 'must not be after to' : `range must not exceed ${COSTS_MAX_DAYS} days`
+      }],
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      tenant: req.tenant.id,
+      currency: 'USD',
+      range: { from, to },
+      budget: costLedger.checkBudget(req.tenant),
+      ...costLedger.getBreakdown(req.tenant.id, { from, to })
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Records further apart than this count as separate visits
+const VISIT_GAP_MS = 30 * 60 * 1000;
+
+// Builds a profile from the stored classification history (oldest first)
+function buildUserProfile(sessionId, tenantId, records) {
+  const latest = records[records.length - 1];
+  const classification = latest.classification;
+
+  const segmentTransitions = [];
+  const visitDurations = [];
+  let visitStart = null;
+  let previous = null;
+
+  for (const record of records) {
+    const at = new Date(record.timestamp).getTime();
+
+    if (previous && previous.classification.primary_segment !== record.classification.primary_segment) {
+      segmentTransitions.push({
+        from: previous.classification.primary_segment,
+        to: record.classification.primary_segment,
+        at: record.timestamp,
+        confidence: record.classification.confidence_score
+      });
     }
 
-    // Final validation check
-    if (!testSignals) {
-      return res.status(400).json({
+    if (!previous || at - new Date(previous.timestamp).getTime() > VISIT_GAP_MS) {
+      visitStart = visitDurations.length;
+      visitDurations.push(0);
+    }
+    // session_duration is cumulative within a visit, so keep the largest
+    visitDurations[visitStart] = Math.max(visitDurations[visitStart], Number(record.signals.session_duration) || 0);
+    previous = record;
+  }
+
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const confidences = records.map(record => record.classification.confidence_score);
+
+  return {
+    session_id: sessionId,
+    tenant: tenantId,
+    first_seen: records[0].timestamp,
+    last_seen: latest.timestamp,
+    segment_classification: classification,
+    behavioral_history: records.map(record => ({
+      timestamp: record.timestamp,
+      source: record.source,
+      demo_mode: record.demo_mode,
+      primary_segment: record.classification.primary_segment,
+      confidence_score: record.classification.confidence_score,
+      consultation_readiness_score: record.classification.consultation_readiness_score,
+      triggered_rules: record.triggered_rules,
+      signals: record.signals
+    })),
+    segment_transitions: segmentTransitions,
+    engagement_metrics: {
+      total_sessions: visitDurations.length,
+      total_classifications: records.length,
+      average_session_duration: average(visitDurations),
+      content_engagement_score: classification.confidence_score,
+      average_confidence: average(confidences),
+      consultation_interactions: records.filter(record =>
+        record.classification.consultation_readiness_score > HIGH_CONSULTATION_READINESS).length
+    },
+    business_value: {
+      estimated_project_value: classification.primary_segment === 'luxury_project_planner' ? '€15,000+' : '€3,000+',
+      consultation_urgency: hotLeadReasons(latest).length > 0 ? 'high' : 'medium',
+      conversion_probability: classification.confidence_score
+    }
+  };
+}
+
+// User profiles endpoint
+routes.get('/api/v1/user-profile/:sessionId', { tags: ['analytics'], summary: 'Profile of a session' }, requireScope('profiles:read'), resolveTenant, validateRequest(RequestSchemas.userProfile), meterUsage('analytics'), async (req, res) => {
+  const { sessionId } = req.params;
+  
+  try {
+    const records = await sessionStore.getSessionRecords(req.tenant.id, sessionId);
+
+    if (records.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: 'No signals provided and demo_mode not specified',
+        error: `Unknown session '${sessionId}'`,
         timestamp: new Date().toISOString(),
         path: req.path
       });
     }
-    
-    const result = informationService.validateSegmentClassification(testSignals);
-    
+
+    const userProfile = buildUserProfile(sessionId, req.tenant.id, records);
+
     res.json({
       success: true,
-      data: {
-        classification: result,
-        signals_used: testSignals,
-        processing_info: {
-          timestamp: new Date().toISOString(),
-          demo_mode: demo_mode || false,
-          algorithm_version: '1.0.0-ENTERPRISE',
-          security_validated: true
-        }
+      data: userProfile,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        confidence: userProfile.segment_classification.confidence_score,
+        store: sessionStore.backend,
+        security: 'enterprise_validated'
       }
     });
-    
   } catch (error) {
-    res.status(400).json({
+    res.status(500).json({
+      success: false,
+      error: 'User profile generation failed',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+// ===============================
+// 🔑 AUTHENTICATION ENDPOINTS
+// ===============================
+
+// Credentials issued here are bound to req.tenant and can never carry
+// scopes the caller does not hold itself
+function rejectScopeEscalation(req, res) {
+  const extra = req.body.scopes.filter(scope => !authService.hasScope(req.auth, scope));
+  if (extra.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: `Cannot grant scopes not held by the caller: ${extra.join(', ')}`,
+    timestamp: new Date().toISOString(),
+    path: req.path
+  });
+  return true;
+}
+
+// A key may rate at most at its tenant's tier (README: TENANT TIERS)
+function rejectTierEscalation(req, res) {
+  const tenantTier = req.tenant.definition.tier || DEFAULT_TIER;
+  if (!req.body.tier || !tierExceeds(req.body.tier, tenantTier)) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: `Cannot grant tier '${req.body.tier}' above the tenant's tier '${tenantTier}'`,
+    timestamp: new Date().toISOString(),
+    path: req.path
+  });
+  return true;
+}
+
+routes.post('/api/v1/auth/tokens', { tags: ['auth'], summary: 'Issue a signed access token', status: 201 }, adminGuards, validateRequest(RequestSchemas.authToken), (req, res) => {
+  if (rejectScopeEscalation(req, res)) return;
+
+  try {
+    const expiresIn = req.body.expires_in || 3600;
+    const token = authService.signToken({
+      sub: req.body.subject,
+      tenant: req.tenant.id,
+      scopes: req.body.scopes
+    }, expiresIn);
+
+    res.status(201).json({
+      success: true,
+      data: { token, token_type: 'Bearer', expires_in: expiresIn, tenant: req.tenant.id, scopes: req.body.scopes },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       timestamp: new Date().toISOString(),
-      path: req.path,
-      security: 'validation_failed'
+      path: req.path
     });
   }
 });
 
-// MOHD configuration endpoint
-app.get('/api/v1/mohd/config', (req, res) => {
+routes.get('/api/v1/auth/api-keys', { tags: ['auth'], summary: 'List API keys' }, adminGuards, (req, res) => {
+  const keys = req.tenant.definition.api_keys.map(({ hash, ...apiKey }) => apiKey);
+
   res.json({
     success: true,
-    data: {
-      config: informationService.mohdConfig,
-      stats: {
-        segments: Object.keys(informationService.mohdConfig.customerSegments).length,
-        contentAngles: Object.keys(informationService.mohdConfig.contentAngles).length,
-        businessRules: Object.keys(informationService.mohdConfig.businessRules).length,
-        security_level: 'ENTERPRISE'
-      }
-    }
+    data: { tenant: req.tenant.id, count: keys.length, items: keys },
+    timestamp: new Date().toISOString()
   });
 });
 
-// Session analytics (unchanged, working correctly)
-app.get('/api/v1/session-analytics', (req, res) => {
-  const demoAnalytics = {
-    summary: {
-      totalSessions: 127 + Math.floor(Math.random() * 20),
-      averageEngagement: 7.4 + Math.random() * 2,
-      conversionSignals: 23 + Math.floor(Math.random() * 10),
-      topStyles: ['contemporary', 'modern', 'scandinavian', 'minimalist']
-    },
-    trends: {
-      engagementTrend: '+32% vs yesterday',
-      leadQualityTrend: '+18% improvement',
-      popularCategories: ['sofas', 'lighting', 'tables', 'chairs']
-    },
-    executiveInsights: [
-      '🔥 TREND: Modern minimalism +42% interest today',
-      '💰 OPPORTUNITY: 8 high-value leads (>€15K potential) in pipeline',
-      '⚡ INSIGHT: Living room projects convert 3.2x better than individual pieces',
-      '🎯 ALERT: Scandinavian style queries up 67% - push Nordic brands',
-      '📈 SUCCESS: Average session value increased 28% with MOHD intelligence'
-    ]
-  };
+routes.post('/api/v1/auth/api-keys', { tags: ['auth'], summary: 'Create an API key', status: 201 }, adminGuards, validateRequest(RequestSchemas.apiKeyCreate), (req, res) => {
+  if (rejectScopeEscalation(req, res)) return;
+  if (rejectTierEscalation(req, res)) return;
+
+  const { id, key, hash } = authService.generateApiKey();
+  const { hash: _hash, ...apiKey } = tenantRegistry.addApiKey(req.tenant.id, {
+    id,
+    name: req.body.name,
+    hash,
+    scopes: req.body.scopes,
+    tier: req.body.tier || null,
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  });
 
-  res.json({
+  logger.info('🔑 API key created', { tenant: req.tenant.id, keyId: id, by: req.auth.subject });
+
+  res.status(201).json({
     success: true,
-    data: demoAnalytics,
-    metadata: {
-      timestamp: new Date().toISOString(),
-      source: 'enterprise_intelligent_analytics'
-    }
+    // The plaintext key is only ever returned here
+    data: { ...apiKey, key },
+    timestamp: new Date().toISOString()
   });
 });
 
-// User profiles endpoint
-app.get('/api/v1/user-profile/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  
+routes.delete('/api/v1/auth/api-keys/:keyId', { tags: ['auth'], summary: 'Revoke an API key' }, adminGuards, validateRequest(RequestSchemas.apiKeyRevoke), (req, res) => {
+  const revoked = tenantRegistry.revokeApiKey(req.tenant.id, req.params.keyId);
+
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      error: `API key '${req.params.keyId}' not found`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  logger.info('🔑 API key revoked', { tenant: req.tenant.id, keyId: revoked.id, by: req.auth.subject });
+
+  const { hash, ...apiKey } = revoked;
+  res.json({ success: true, data: apiKey, timestamp: new Date().toISOString() });
+});
+
+// ===============================
+// 🛠️ ADMIN CONFIGURATION ENDPOINTS
+// ===============================
+
+// URL collection name -> tenant config section
+const AdminCollections = {
+  'segments': 'customerSegments',
+  'content-angles': 'contentAngles',
+  'business-rules': 'businessRules'
+};
+
+function resolveAdminCollection(req, res, next) {
+  const section = AdminCollections[req.params.collection];
+
+  if (!section) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown collection '${req.params.collection}'`,
+      available_collections: Object.keys(AdminCollections),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  req.configSection = section;
+  next();
+}
+resolveAdminCollection.apiDoc = { pathEnums: { collection: Object.keys(AdminCollections) } };
+
+// Applies a config change and maps validation failures onto a 400
+function applyAdminChange(req, res, mutate, change, status = 200) {
   try {
-    const demoSignals = informationService.generateDemoSignals();
-    const classification = informationService.validateSegmentClassification(demoSignals);
-    
-    const userProfile = {
-      session_id: sessionId,
-      segment_classification: classification,
-      behavioral_history: [demoSignals],
-      engagement_metrics: {
-        total_sessions: Math.floor(Math.random() * 10) + 1,
-        average_session_duration: demoSignals.session_duration,
-        content_engagement_score: classification.confidence_score,
-        consultation_interactions: Math.floor(Math.random() * 3)
+    const config = tenantRegistry.updateTenantConfig(req.tenant.id, mutate, change);
+
+    res.status(status).json({
+      success: true,
+      data: {
+        item: change.id ? config[req.configSection][change.id] || null : null,
+        version: config.metadata.version,
+        last_updated: config.metadata.last_updated
       },
-      business_value: {
-        estimated_project_value: classification.primary_segment === 'luxury_project_planner' ? '€15,000+' : '€3,000+',
-        consultation_urgency: classification.consultation_readiness_score > 0.8 ? 'high' : 'medium',
-        conversion_probability: classification.confidence_score
-      }
-    };
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.violations ? 'Configuration change rejected' : error.message,
+      violations: error.violations || [],
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+}
+
+routes.get('/api/v1/admin/config/versions', { tags: ['admin'], summary: 'Tenant configuration versions' }, adminGuards, (req, res) => {
+  const { metadata } = req.tenant.service.config;
+
+  res.json({
+    success: true,
+    data: {
+      current: { version: metadata.version, last_updated: metadata.last_updated },
+      history: tenantRegistry.getTenantHistory(req.tenant.id)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+routes.post('/api/v1/admin/config/rollback', { tags: ['admin'], summary: 'Roll back the tenant configuration' }, adminGuards, validateRequest(RequestSchemas.adminRollback), (req, res) => {
+  const { version } = req.body;
+
+  try {
+    const config = tenantRegistry.rollbackTenantConfig(req.tenant.id, version);
+
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: `Version '${version}' not found in configuration history`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
 
     res.json({
       success: true,
-      data: userProfile,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        confidence: classification.confidence_score,
-        processing_time: '<1ms',
-        security: 'enterprise_validated'
-      }
+      data: { restored: version, version: config.metadata.version, last_updated: config.metadata.last_updated },
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'User profile generation failed',
+      error: error.message,
+      violations: error.violations || [],
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+});
+
+routes.get('/api/v1/admin/:collection', { tags: ['admin'], summary: 'List a configuration collection' }, adminGuards, resolveAdminCollection, (req, res) => {
+  res.json({
+    success: true,
+    data: req.tenant.service.config[req.configSection],
+    timestamp: new Date().toISOString()
+  });
+});
+
+routes.get('/api/v1/admin/:collection/:id', { tags: ['admin'], summary: 'Get a configuration item' }, adminGuards, resolveAdminCollection, validateRequest(RequestSchemas.adminCollection), (req, res) => {
+  const item = req.tenant.service.config[req.configSection][req.params.id];
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: `'${req.params.id}' not found in ${req.params.collection}`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  res.json({ success: true, data: item, timestamp: new Date().toISOString() });
+});
+
+routes.post('/api/v1/admin/:collection', {
+  tags: ['admin'],
+  summary: 'Create a configuration item',
+  status: 201,
+  responses: { 409: 'An item with this id already exists' }
+}, adminGuards, resolveAdminCollection, validateRequest(RequestSchemas.adminCreate), (req, res) => {
+  const item = req.body;
+
+  if (req.tenant.service.config[req.configSection][item.id]) {
+    return res.status(409).json({
+      success: false,
+      error: `'${item.id}' already exists in ${req.params.collection}`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  applyAdminChange(req, res, config => {
+    config[req.configSection][item.id] = item;
+  }, { action: 'create', collection: req.params.collection, id: item.id }, 201);
+});
+
+routes.put('/api/v1/admin/:collection/:id', { tags: ['admin'], summary: 'Update a configuration item' }, adminGuards, resolveAdminCollection, validateRequest(RequestSchemas.adminUpdate), (req, res) => {
+  const { id } = req.params;
+
+  if (!req.tenant.service.config[req.configSection][id]) {
+    return res.status(404).json({
+      success: false,
+      error: `'${id}' not found in ${req.params.collection}`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  applyAdminChange(req, res, config => {
+    config[req.configSection][id] = { ...req.body, id };
+  }, { action: 'update', collection: req.params.collection, id });
+});
+
+routes.delete('/api/v1/admin/:collection/:id', { tags: ['admin'], summary: 'Delete a configuration item' }, adminGuards, resolveAdminCollection, validateRequest(RequestSchemas.adminCollection), (req, res) => {
+  const { id } = req.params;
+
+  if (!req.tenant.service.config[req.configSection][id]) {
+    return res.status(404).json({
+      success: false,
+      error: `'${id}' not found in ${req.params.collection}`,
       timestamp: new Date().toISOString(),
       path: req.path
     });
   }
+
+  applyAdminChange(req, res, config => {
+    delete config[req.configSection][id];
+  }, { action: 'delete', collection: req.params.collection, id });
+});
+
+// ===============================
+// 📚 API DOCUMENTATION
+// ===============================
+
+routes.get('/api/openapi.json', { tags: ['docs'], summary: 'OpenAPI 3.1 document of this API' }, (req, res) => {
+  res.json(routes.toOpenAPI(API_INFO));
+});
+
+routes.get('/api/docs', { tags: ['docs'], summary: 'Browsable API reference', contentType: 'text/html' }, (req, res) => {
+  res.type('html').send(routes.toHtml(API_INFO, '/api/openapi.json'));
 });
 
 // Enterprise 404 handler (JSON response)
@@ -794,21 +2233,15 @@ app.use((req, res) => {
     success: false,
     error: 'Endpoint not found',
     message: `Cannot ${req.method} ${req.originalUrl}`,
-    available_endpoints: [
-      'GET /health',
-      'GET /api/v1/demo',
-      'POST /api/v1/segment/classify',
-      'GET /api/v1/mohd/config',
-      'GET /api/v1/session-analytics',
-      'GET /api/v1/user-profile/:sessionId'
-    ],
+    available_endpoints: routes.endpointList(),
+    documentation: '/api/docs',
     timestamp: new Date().toISOString()
   });
 });
 
 // Enterprise error handler
 app.use((error, req, res, next) => {
-  console.error('❌ Enterprise Server Error:', error);
+  logger.error('❌ Enterprise Server Error', { error, method: req.method, path: req.path });
   
   // Don't leak stack traces in production
   const errorResponse = {
@@ -829,39 +2262,22 @@ app.use((error, req, res, next) => {
 
 // START ENTERPRISE SERVER
 app.listen(PORT, () => {
-  console.log('🚀 VDE Enterprise Backend API started');
-  console.log(`📡 Server running on port ${PORT}`);
-  console.log(`🔒 Security: ENTERPRISE HARDENED`);
-  console.log(`✅ Input Validation: STRICT`);
-  console.log(`🛡️  Rate Limiting: ENABLED`);
-  console.log(`🔐 CORS: SECURE`);
-  
+  logger.info('🚀 VDE Enterprise Backend API started', {
+    port: Number(PORT),
+    security: 'ENTERPRISE_HARDENED',
+    validation: 'STRICT',
+    rateLimiting: rateLimitingEnabled,
+    documentation: `http://localhost:${PORT}/api/docs`,
+    endpoints: routes.endpointList()
+  });
+
   // 🔐 Mostra report configurazione API key
   apiKeysManager.generateConfigurationReport();
-  
-  console.log(`🧪 Demo endpoints:`);
-  console.log(`   - GET /api/v1/demo`);
-  console.log(`   - POST /api/v1/segment/classify (VALIDATED)`);
-  console.log(`   - GET /api/v1/mohd/config`);
-  console.log(`   - GET /api/v1/session-analytics`);
-  console.log(`   - GET /api/v1/user-profile/:sessionId`);
-  
-  console.log(`🔐 Configuration endpoints:`);
-  console.log(`   - GET /api/v1/config/status`);
-  console.log(`   - GET /api/v1/config/validate-keys`);
-  console.log(`   - GET /api/v1/config/openai`);
-  
-  console.log('✅ Ready for enterprise demo!');
-  console.log('🔥 ALL CRITICAL SECURITY ISSUES FIXED!');
-  
+
   // Avviso sulla configurazione
   const status = apiKeysManager.getConfigurationStatus();
   if (!status.isConfigured) {
-    console.log('\n⚠️  ATTENZIONE: Alcune API key non sono configurate');
-    console.log('📝 Configura il file .env per abilitare tutte le funzionalità');
-    console.log('🔗 Visita: /api/v1/config/status per dettagli\n');
-  } else {
-    console.log('\n✅ Tutte le API key sono configurate correttamente!\n');
+    logger.warn('Alcune API key non sono configurate: vedi /api/v1/config/status', { missingKeys: status.missingKeys });
   }
 });
 
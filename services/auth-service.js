@@ -0,0 +1,181 @@
+// MAGNETICA VDE PLATFORM - AUTHENTICATION SERVICE
+// Hashed client API keys (storefronts) and HS256 JWTs (dashboard users)
+
+const crypto = require('crypto');
+
+const SCOPES = [
+  'classify',
+  'events:write',
+  'search',
+  'profiles:read',
+  'analytics:read',
+  'config:read',
+  'config:admin'
+];
+// Never granted to anonymous callers, whatever ANONYMOUS_SCOPES says
+const PROTECTED_SCOPES = ['config:read', 'config:admin'];
+const API_KEY_PREFIX = 'mvde';
+const JWT_CLOCK_SKEW_SECONDS = 30;
+const MAX_JWT_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Auth failures carry the HTTP status they map to
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class MagneticaAuthService {
+  constructor(tenantRegistry) {
+    this.tenantRegistry = tenantRegistry;
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.adminToken = process.env.ADMIN_API_TOKEN;
+    this.anonymousScopes = (process.env.ANONYMOUS_SCOPES || '')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(scope => SCOPES.includes(scope) && !PROTECTED_SCOPES.includes(scope));
+  }
+
+  isJwtConfigured() {
+    return !!this.jwtSecret && !this.jwtSecret.includes('your-');
+  }
+
+  // ===== API KEYS =====
+
+  // Returns the plaintext key once; only its hash is ever stored
+  generateApiKey() {
+    const id = crypto.randomBytes(4).toString('hex');
+    const secret = base64url(crypto.randomBytes(24));
+    const key = `${API_KEY_PREFIX}_${id}_${secret}`;
+    return { id, key, hash: sha256(key) };
+  }
+
+  authenticateApiKey(key) {
+    const match = new RegExp(`^${API_KEY_PREFIX}_([0-9a-f]{8})_[A-Za-z0-9_-]+$`).exec(key);
+    if (!match) {
+      throw authError('Malformed API key');
+    }
+
+    const found = this.tenantRegistry.findApiKey(match[1]);
+    if (!found || found.apiKey.revoked_at || !safeEqual(found.apiKey.hash, sha256(key))) {
+      throw authError('Invalid API key');
+    }
+
+    return {
+      type: 'api_key',
+      subject: `api_key:${found.apiKey.id}`,
+      tenantId: found.tenant.id,
+      scopes: found.apiKey.scopes,
+      tier: found.apiKey.tier || null
+    };
+  }
+
+  // ===== JWT (HS256) =====
+
+  signToken(claims, expiresInSeconds) {
+    if (!this.isJwtConfigured()) {
+      throw authError('JWT_SECRET is not configured', 503);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      ...claims,
+      iat: now,
+      exp: now + Math.min(expiresInSeconds, MAX_JWT_LIFETIME_SECONDS)
+    }));
+    const signature = crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${payload}`).digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+  }
+
+  authenticateJwt(token) {
+    if (!this.isJwtConfigured()) {
+      throw authError('JWT authentication is not configured');
+    }
+
+    const [header, payload, signature] = token.split('.');
+    let decodedHeader;
+    let claims;
+    try {
+      decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString());
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      throw authError('Malformed token');
+    }
+
+    // Pin the algorithm: never let the token choose how it is verified
+    if (decodedHeader.alg !== 'HS256') {
+      throw authError('Unsupported token algorithm');
+    }
+
+    const expected = crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(expected, signature || '')) {
+      throw authError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + JWT_CLOCK_SKEW_SECONDS < now) {
+      throw authError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+      throw authError('Token not yet valid');
+    }
+    if (!claims.tenant || (claims.tenant !== '*' && !this.tenantRegistry.getTenant(claims.tenant))) {
+      throw authError('Token tenant is unknown');
+    }
+
+    return {
+      type: 'jwt',
+      subject: claims.sub,
+      tenantId: claims.tenant,
+      scopes: Array.isArray(claims.scopes) ? claims.scopes : String(claims.scope || '').split(' ').filter(Boolean)
+    };
+  }
+
+  // ===== REQUEST AUTHENTICATION =====
+
+  // Returns the caller's identity, null for anonymous, throws on bad credentials
+  authenticate(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      return this.authenticateApiKey(apiKey);
+    }
+
+    const header = req.get('Authorization') || '';
+    if (!header.startsWith('Bearer ')) {
+      return null;
+    }
+
+    const token = header.slice(7);
+    // Break-glass platform credential, not tied to a tenant
+    if (this.adminToken && safeEqual(token, this.adminToken)) {
+      return { type: 'admin_token', subject: 'admin_token', tenantId: '*', scopes: ['*'] };
+    }
+    if (token.split('.').length === 3) {
+      return this.authenticateJwt(token);
+    }
+    throw authError('Invalid bearer token');
+  }
+
+  anonymousIdentity() {
+    return { type: 'anonymous', subject: null, tenantId: null, scopes: this.anonymousScopes };
+  }
+
+  hasScope(identity, scope) {
+    return identity.scopes.includes('*') || identity.scopes.includes(scope);
+  }
+}
+
+MagneticaAuthService.SCOPES = SCOPES;
+
+module.exports = MagneticaAuthService;
@@ -0,0 +1,190 @@
+// MAGNETICA VDE PLATFORM - BUSINESS RULES ENGINE
+// Evaluates businessRules trigger_conditions against a classified session
+
+const OPERATORS = {
+  gt: (value, target) => value > target,
+  gte: (value, target) => value >= target,
+  lt: (value, target) => value < target,
+  lte: (value, target) => value <= target,
+  eq: (value, target) => value === target,
+  neq: (value, target) => value !== target,
+  between: (value, target) => value >= target[0] && value <= target[1]
+};
+
+const OPERATOR_SYMBOLS = {
+  gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '==', neq: '!=', between: 'between'
+};
+
+// Classification outputs a rule may compare against
+const CLASSIFICATION_METRICS = ['confidence_score', 'consultation_readiness_score'];
+
+class BusinessRulesEngine {
+  constructor(signalCatalogue) {
+    this.signalCatalogue = signalCatalogue;
+  }
+
+  // Turns trigger_conditions into a condition tree. The original shorthand
+  // (segment_match / engagement_threshold / session_depth) is combined with
+  // AND; engagement is the classification confidence, depth is page_depth.
+  compileConditions(triggerConditions) {
+    const conditions = triggerConditions || {};
+
+    if (conditions.all || conditions.any || conditions.not || conditions.signal || conditions.metric) {
+      return conditions;
+    }
+
+    const all = [];
+    if (conditions.segment_match) {
+      all.push({ segment_match: conditions.segment_match });
+    }
+    if (conditions.engagement_threshold !== undefined) {
+      all.push({ metric: 'confidence_score', operator: 'gte', value: conditions.engagement_threshold });
+    }
+    if (conditions.session_depth !== undefined) {
+      all.push({ signal: 'page_depth', operator: 'gte', value: conditions.session_depth });
+    }
+
+    return { all };
+  }
+
+  // Returns a list of problems with the rule; empty when the rule is usable
+  validateRule(ruleId, rule, segments) {
+    const errors = [];
+
+    const visit = (node, path) => {
+      if (!node || typeof node !== 'object') {
+        errors.push(`Rule '${ruleId}' has an invalid condition at ${path}`);
+        return;
+      }
+
+      if (node.all || node.any) {
+        const children = node.all || node.any;
+        if (!Array.isArray(children) || children.length === 0) {
+          errors.push(`Rule '${ruleId}' ${path}.${node.all ? 'all' : 'any'} must be a non-empty array`);
+          return;
+        }
+        children.forEach((child, index) => visit(child, `${path}.${node.all ? 'all' : 'any'}[${index}]`));
+        return;
+      }
+
+      if (node.not) {
+        visit(node.not, `${path}.not`);
+        return;
+      }
+
+      if (node.segment_match) {
+        if (!Array.isArray(node.segment_match) || node.segment_match.length === 0) {
+          errors.push(`Rule '${ruleId}' ${path}.segment_match must be a non-empty array`);
+          return;
+        }
+        for (const segmentId of node.segment_match) {
+          if (!segments[segmentId]) {
+            errors.push(`Rule '${ruleId}' matches unknown segment '${segmentId}'`);
+          }
+        }
+        return;
+      }
+
+      if (node.signal !== undefined && !this.signalCatalogue[node.signal]) {
+        errors.push(`Rule '${ruleId}' compares unknown signal '${node.signal}'`);
+      } else if (node.metric !== undefined && !CLASSIFICATION_METRICS.includes(node.metric)) {
+        errors.push(`Rule '${ruleId}' compares unknown metric '${node.metric}'`);
+      } else if (node.signal === undefined && node.metric === undefined) {
+        errors.push(`Rule '${ruleId}' has an unrecognised condition at ${path}`);
+        return;
+      }
+
+      if (!OPERATORS[node.operator]) {
+        errors.push(`Rule '${ruleId}' uses unknown operator '${node.operator}' at ${path}`);
+      } else if (node.operator === 'between') {
+        if (!Array.isArray(node.value) || node.value.length !== 2 || node.value.some(v => typeof v !== 'number')) {
+          errors.push(`Rule '${ruleId}' between at ${path} needs a [min, max] number pair`);
+        }
+      } else if (typeof node.value !== 'number') {
+        errors.push(`Rule '${ruleId}' ${path} value must be a number`);
+      }
+    };
+
+    visit(this.compileConditions(rule.trigger_conditions), 'trigger_conditions');
+    return errors;
+  }
+
+  // Evaluates one condition node; reasons collects a line per matched leaf
+  evaluateCondition(node, context, reasons) {
+    if (node.all) {
+      const childReasons = [];
+      const matched = node.all.every(child => this.evaluateCondition(child, context, childReasons));
+      if (matched) reasons.push(...childReasons);
+      return matched;
+    }
+
+    if (node.any) {
+      for (const child of node.any) {
+        const childReasons = [];
+        if (this.evaluateCondition(child, context, childReasons)) {
+          reasons.push(...childReasons);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    if (node.not) {
+      const matched = !this.evaluateCondition(node.not, context, []);
+      if (matched) reasons.push(`not(${this.describeCondition(node.not)})`);
+      return matched;
+    }
+
+    if (node.segment_match) {
+      const matched = node.segment_match.includes(context.classification.primary_segment);
+      if (matched) reasons.push(`primary_segment ${context.classification.primary_segment} in [${node.segment_match.join(', ')}]`);
+      return matched;
+    }
+
+    const name = node.signal !== undefined ? node.signal : node.metric;
+    const raw = node.signal !== undefined ? context.signals[node.signal] : context.classification[node.metric];
+    const value = typeof raw === 'boolean' ? Number(raw) : raw;
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      return false;
+    }
+
+    const matched = OPERATORS[node.operator](value, node.value);
+    if (matched) {
+      const target = Array.isArray(node.value) ? `[${node.value.join(', ')}]` : node.value;
+      reasons.push(`${name} ${Number(value.toFixed(4))} ${OPERATOR_SYMBOLS[node.operator]} ${target}`);
+    }
+    return matched;
+  }
+
+  describeCondition(node) {
+    if (node.all) return node.all.map(child => this.describeCondition(child)).join(' and ');
+    if (node.any) return node.any.map(child => this.describeCondition(child)).join(' or ');
+    if (node.not) return `not(${this.describeCondition(node.not)})`;
+    if (node.segment_match) return `primary_segment in [${node.segment_match.join(', ')}]`;
+    return `${node.signal !== undefined ? node.signal : node.metric} ${OPERATOR_SYMBOLS[node.operator]} ${node.value}`;
+  }
+
+  // Returns the rules that fired, with why and what they are expected to do
+  evaluate(rules, signals, classification) {
+    const triggered = [];
+
+    for (const [ruleId, rule] of Object.entries(rules || {})) {
+      const reasons = [];
+      const conditions = this.compileConditions(rule.trigger_conditions);
+
+      if (this.evaluateCondition(conditions, { signals, classification }, reasons)) {
+        triggered.push({
+          rule_id: rule.id || ruleId,
+          name: rule.name,
+          reasons,
+          expected_outcomes: rule.expected_outcomes || {}
+        });
+      }
+    }
+
+    return triggered;
+  }
+}
+
+module.exports = BusinessRulesEngine;
@@ -0,0 +1,486 @@
+// MAGNETICA VDE PLATFORM - CATALOGUE INGESTION
+// Pulls a tenant catalogue (MOHD API or a local JSON/CSV export), normalises
+// products, embeds them and upserts them into the vector store. Runs are
+// incremental: only records changed since the tenant's cursor are embedded.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SOURCES = ['mohd_api', 'file'];
+const MAX_JOBS_KEPT = 50;
+const MAX_FAILURES_KEPT = 500;
+const MOHD_PAGE_SIZE = 100;
+const MOHD_MAX_PAGES = 1000;
+const MOHD_TIMEOUT_MS = 30000;
+// Ids per vector store delete on full runs (Pinecone accepts up to 1000)
+const DELETE_BATCH = 1000;
+// Upper bounds (EUR) of each price band; above the last one is 'luxury'
+const PRICE_BANDS = [
+  { id: 'entry', max: 1000 },
+  { id: 'mid', max: 3000 },
+  { id: 'premium', max: 8000 }
+];
+
+function ingestionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Lists arrive as arrays, or as strings separated by '|' or ','
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[|,]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// 1234.5, "1234.50", "1.234,50" and "€ 1.234" all parse
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null || value === '') return null;
+
+  let text = String(value).replace(/[^\d.,-]/g, '');
+  if (text.includes(',') && text.lastIndexOf(',') > text.lastIndexOf('.')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const price = parseFloat(text);
+  return Number.isFinite(price) ? price : NaN;
+}
+
+// Angles whose catalogueMatch names the product's designer, category or one
+// of its materials (case-insensitive), on top of the record's own
+function matchContentAngles(product, contentAngles) {
+  const normalise = value => String(value).trim().toLowerCase();
+  const designer = product.designer ? normalise(product.designer) : null;
+  const category = product.category ? normalise(product.category) : null;
+  const materials = product.materials.map(normalise);
+  const angles = new Set(product.content_angles);
+
+  for (const [angleId, angle] of Object.entries(contentAngles || {})) {
+    const match = angle.catalogueMatch;
+    if (!match) continue;
+    const matches = (field, values) => (match[field] || []).map(normalise).some(value => values.includes(value));
+    if (matches('designers', [designer]) || matches('categories', [category]) || matches('materials', materials)) {
+      angles.add(angleId);
+    }
+  }
+  return [...angles];
+}
+
+function priceBand(price) {
+  const band = PRICE_BANDS.find(candidate => price < candidate.max);
+  return band ? band.id : 'luxury';
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map(column => column.trim());
+  return records.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+}
+
+class MagneticaCatalogueIngestion {
+  constructor({ apiKeysManager, embeddingService, vectorStore, costLedger, logger, statePath }) {
+    this.apiKeysManager = apiKeysManager;
+    this.embeddingService = embeddingService;
+    this.vectorStore = vectorStore;
+    this.costLedger = costLedger;
+    this.logger = logger;
+    this.statePath = statePath;
+    this.importDir = process.env.CATALOGUE_IMPORT_DIR || path.join(process.cwd(), 'data', 'catalogue');
+    this.jobs = [];
+    this.state = this.loadState();
+  }
+
+  // ===== CURSOR STATE =====
+
+  // { tenants: { <id>: { cursor, last_job_id, last_run_at } } }. The memory
+  // vector store starts empty, so its cursors must not outlive the process.
+  loadState() {
+    if (this.vectorStore.backend === 'memory') {
+      return { tenants: {} };
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      return { tenants: {} };
+    }
+  }
+
+  saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      this.logger.warn('Ingestion state not saved', { path: this.statePath, error: error.message });
+    }
+  }
+
+  getCursor(tenantId) {
+    return (this.state.tenants[tenantId] || {}).cursor || null;
+  }
+
+  // ===== JOBS =====
+
+  listJobs(tenantId) {
+    return this.jobs.filter(job => job.tenant_id === tenantId).map(job => this.summarise(job));
+  }
+
+  getJob(tenantId, jobId) {
+    return this.jobs.find(job => job.tenant_id === tenantId && job.id === jobId) || null;
+  }
+
+  summarise({ failures, ...job }) {
+    return { ...job, failure_count: failures.length };
+  }
+
+  // options: { source: 'mohd_api'|'file', file, full }. Returns the queued
+  // job; the run continues in the background. Job status: queued, running,
+  // completed, completed_with_errors, stopped (cost budget) or failed.
+  startJob(tenant, options) {
+    if (this.jobs.some(job => job.tenant_id === tenant.id && ['queued', 'running'].includes(job.status))) {
+      throw ingestionError(`An ingestion job is already running for tenant '${tenant.id}'`, 409);
+    }
+    if (options.source === 'file') {
+      this.resolveImportFile(options.file);
+    }
+
+    const job = {
+      id: `ing_${crypto.randomBytes(6).toString('hex')}`,
+      tenant_id: tenant.id,
+      source: options.source,
+      file: options.source === 'file' ? options.file : undefined,
+      mode: options.full ? 'full' : 'incremental',
+      status: 'queued',
+      cursor_from: options.full ? null : this.getCursor(tenant.id),
+      cursor_to: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      counts: { fetched: 0, unchanged: 0, changed: 0, upserted: 0, failed: 0, deleted: 0 },
+      failures: [],
+      error: null
+    };
+
+    this.jobs.unshift(job);
+    this.jobs.splice(MAX_JOBS_KEPT);
+
+    setImmediate(() => {
+      this.runJob(tenant, job).catch(error => {
+        this.logger.error('Ingestion job crashed', { job: job.id, error: error.message });
+      });
+    });
+    return job;
+  }
+
+  recordFailure(job, failure) {
+    job.counts.failed++;
+    if (job.failures.length < MAX_FAILURES_KEPT) {
+      job.failures.push(failure);
+    }
+  }
+
+  async runJob(tenant, job) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+
+    try {
+      const rawRecords = job.source === 'mohd_api'
+        ? await this.fetchFromMOHD(job.cursor_from)
+        : this.readImportFile(job.file);
+      job.counts.fetched = rawRecords.length;
+
+      // Records stamped exactly at the cursor are indexed again: another
+      // record sharing that timestamp may not have made it in last run
+      const products = [];
+      const { contentAngles } = tenant.service.config;
+      rawRecords.forEach((raw, index) => {
+        const result = this.normaliseProduct(raw, contentAngles);
+        if (result.error) {
+          this.recordFailure(job, { index, id: result.id, stage: 'normalise', reason: result.error });
+        } else if (job.cursor_from && result.product.updated_at && result.product.updated_at < job.cursor_from) {
+          job.counts.unchanged++;
+        } else {
+          products.push(result.product);
+        }
+      });
+      job.counts.changed = products.length;
+
+      // Oldest first, so the cursor only moves past records that made it in
+      products.sort((a, b) => (a.updated_at || '').localeCompare(b.updated_at || ''));
+      const cursor = await this.indexProducts(tenant, job, products);
+      if (job.mode === 'full' && !job.error && job.counts.upserted === products.length) {
+        await this.deleteMissing(tenant, job, rawRecords);
+      }
+
+      if (cursor) {
+        this.state.tenants[tenant.id] = { cursor, last_job_id: job.id, last_run_at: new Date().toISOString() };
+        this.saveState();
+      }
+      job.cursor_to = cursor || job.cursor_from;
+      if (job.error) {
+        job.status = 'stopped';
+      } else {
+        job.status = job.counts.failed > 0 ? 'completed_with_errors' : 'completed';
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      this.logger.error('Ingestion job failed', { job: job.id, tenant: tenant.id, error: error.message });
+    }
+
+    job.finished_at = new Date().toISOString();
+    this.logger.info('📦 Catalogue ingestion finished', { job: job.id, tenant: tenant.id, status: job.status, counts: job.counts });
+  }
+
+  // Embeds and upserts in batches. Returns the new cursor: the updated_at of
+  // the last product before the first embed/upsert failure.
+  async indexProducts(tenant, job, products) {
+    const batchSize = this.apiKeysManager.getOpenAIConfig().maxEmbeddingsPerBatch;
+    let cursor = null;
+    let blocked = false;
+
+    for (let start = 0; start < products.length; start += batchSize) {
+      const batch = products.slice(start, start + batchSize);
+
+      // Budget is checked per batch: a large catalogue can cross the limit mid-run,
+      const budget = this.costLedger.checkBudget(tenant);
+      // and the products indexed so far still move the cursor
+      if (budget.state !== 'ok' && this.embeddingService.getBackend() !== 'stub') {
+        job.error = `Cost budget ${budget.state} (${budget.reason}): stopped after ${job.counts.upserted} of ${products.length} products`;
+        break;
+      }
+
+      try {
+        const { vectors } = await this.embeddingService.embed(batch.map(product => product.embedding_text), {
+          tenantId: tenant.id,
+          operation: 'catalogue_ingestion'
+        });
+        await this.vectorStore.upsert(tenant.id, batch.map((product, index) => ({
+          id: product.id,
+          values: vectors[index],
+          metadata: product.metadata
+        })));
+        job.counts.upserted += batch.length;
+        if (!blocked) {
+          cursor = batch.reduce((latest, product) => (product.updated_at > latest ? product.updated_at : latest), cursor || '');
+        }
+      } catch (error) {
+        blocked = true;
+        batch.forEach(product => this.recordFailure(job, { id: product.id, stage: 'index', reason: error.message }));
+      }
+    }
+
+    return cursor || null;
+  }
+
+  // A complete full run sees the whole catalogue: vectors of ids it no
+  // longer lists are deleted. Records that failed to normalise still count
+  // as listed.
+  async deleteMissing(tenant, job, rawRecords) {
+    if (rawRecords.length === 0) {
+      this.logger.warn('Full ingestion fetched no records: vectors kept', { job: job.id, tenant: tenant.id });
+      return;
+    }
+
+    const listed = new Set(rawRecords
+      .map(raw => raw.id ?? raw.sku ?? raw.product_id)
+      .filter(id => id !== undefined && id !== null)
+      .map(id => String(id).trim()));
+    const missing = (await this.vectorStore.listIds(tenant.id)).filter(id => !listed.has(id));
+
+    for (let start = 0; start < missing.length; start += DELETE_BATCH) {
+      await this.vectorStore.delete(tenant.id, { ids: missing.slice(start, start + DELETE_BATCH) });
+    }
+    job.counts.deleted = missing.length;
+  }
+
+  // ===== SOURCES =====
+
+  // Only bare file names inside CATALOGUE_IMPORT_DIR: requests must not be
+  // able to read arbitrary paths
+  resolveImportFile(file) {
+    if (!file || path.basename(file) !== file || !/\.(json|csv)$/i.test(file)) {
+      throw ingestionError('file must be a .json or .csv file name inside CATALOGUE_IMPORT_DIR');
+    }
+    const filePath = path.join(this.importDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw ingestionError(`Import file '${file}' not found in CATALOGUE_IMPORT_DIR`, 404);
+    }
+    return filePath;
+  }
+
+  readImportFile(file) {
+    const filePath = this.resolveImportFile(file);
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.csv$/i.test(file)) {
+      return parseCsv(text);
+    }
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed.products;
+    if (!Array.isArray(records)) {
+      throw ingestionError('JSON import must be an array of products or { "products": [...] }');
+    }
+    return records;
+  }
+
+  // GET {MOHD_API_BASE_URL}/products?updated_since=&page=&per_page= ->
+  // { products|data: [...], next_page|meta.next_page }
+  async fetchFromMOHD(updatedSince) {
+    const { apiKey, baseUrl } = this.apiKeysManager.getMOHDConfig();
+    if (this.apiKeysManager.isPlaceholder(apiKey)) {
+      throw ingestionError('MOHD_API_KEY non configurata', 503);
+    }
+
+    const records = [];
+    let page = 1;
+    while (page && page <= MOHD_MAX_PAGES) {
+      const query = new URLSearchParams({ page: String(page), per_page: String(MOHD_PAGE_SIZE) });
+      if (updatedSince) query.set('updated_since', updatedSince);
+
+      const url = `${baseUrl.replace(/\/+$/, '')}/products?${query}`;
+      let response;
+      try {
+        response = await this.apiKeysManager.withSecretFallback('MOHD_API_KEY', key => fetch(url, {
+          headers: { Authorization: `Bearer ${key}`, Accept: 'application/json' },
+          signal: AbortSignal.timeout(MOHD_TIMEOUT_MS)
+        }));
+      } catch (error) {
+        throw ingestionError(`MOHD API non raggiungibile: ${(error.cause && error.cause.code) || error.message}`, 503);
+      }
+      if (!response.ok) {
+        throw ingestionError(`MOHD API HTTP ${response.status} (page ${page})`, 502);
+      }
+
+      const body = await response.json();
+      const products = body.products || body.data || [];
+      records.push(...products);
+      page = body.next_page || (body.meta && body.meta.next_page) || null;
+    }
+
+    return records;
+  }
+
+  // ===== NORMALISATION =====
+
+  // -> { product } or { id, error }. Accepts MOHD API and export field names.
+  // contentAngles: the tenant's, to derive each product's angles
+  normaliseProduct(raw, contentAngles = {}) {
+    const id = raw.id ?? raw.sku ?? raw.product_id;
+    const name = raw.name ?? raw.title;
+    if (id === undefined || id === null || String(id).trim() === '') {
+      return { id: null, error: 'missing id' };
+    }
+    if (!name || String(name).trim() === '') {
+      return { id: String(id), error: 'missing name' };
+    }
+
+    const price = parsePrice(raw.price ?? raw.list_price);
+    if (Number.isNaN(price) || (price !== null && price < 0)) {
+      return { id: String(id), error: `invalid price '${raw.price ?? raw.list_price}'` };
+    }
+
+    const updatedRaw = raw.updated_at ?? raw.modified_at ?? raw.last_modified;
+    const updatedAt = updatedRaw ? new Date(updatedRaw) : null;
+    if (updatedAt && Number.isNaN(updatedAt.getTime())) {
+      return { id: String(id), error: `invalid updated_at '${updatedRaw}'` };
+    }
+
+    const assetsBase = (process.env.MOHD_ASSETS_BASE_URL || '').replace(/\/+$/, '');
+    const imageUrls = toList(raw.images ?? raw.image_urls ?? raw.image_url ?? raw.image)
+      .map(image => (/^https?:\/\//.test(image) || !assetsBase ? image : `${assetsBase}/${image.replace(/^\/+/, '')}`));
+
+    const product = {
+      id: String(id).trim(),
+      name: String(name).trim(),
+      designer: raw.designer ?? raw.designer_name ?? null,
+      brand: raw.brand ?? raw.manufacturer ?? null,
+      category: raw.category ?? raw.category_name ?? null,
+      materials: toList(raw.materials ?? raw.material),
+      image_urls: imageUrls,
+      price,
+      currency: raw.currency || 'EUR',
+      description: raw.description ? String(raw.description).trim() : '',
+      content_angles: toList(raw.content_angles),
+      updated_at: updatedAt ? updatedAt.toISOString() : null
+    };
+    product.content_angles = matchContentAngles(product, contentAngles);
+
+    // Vector store metadata takes strings, numbers, booleans and string lists
+    const metadata = {};
+    for (const [key, value] of Object.entries({
+      name: product.name,
+      designer: product.designer,
+      brand: product.brand,
+      category: product.category,
+      materials: product.materials,
+      image_urls: product.image_urls,
+      price: product.price,
+      currency: product.currency,
+      price_band: product.price === null ? null : priceBand(product.price),
+      content_angles: product.content_angles,
+      updated_at: product.updated_at
+    })) {
+      if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+        metadata[key] = value;
+      }
+    }
+
+    const embeddingText = [
+      product.name,
+      product.designer && `Designer: ${product.designer}`,
+      product.brand && `Brand: ${product.brand}`,
+      product.category && `Category: ${product.category}`,
+      product.materials.length > 0 && `Materials: ${product.materials.join(', ')}`,
+      product.description
+    ].filter(Boolean).join('. ');
+
+    return { product: { ...product, metadata, embedding_text: embeddingText } };
+  }
+}
+
+MagneticaCatalogueIngestion.SOURCES = SOURCES;
+MagneticaCatalogueIngestion.PRICE_BANDS = PRICE_BANDS;
+
+module.exports = MagneticaCatalogueIngestion;
@@ -0,0 +1,237 @@
+// MAGNETICA VDE PLATFORM - COST LEDGER
+// Spend of every AI call (tokens, images, embeddings), aggregated per tenant
+// and UTC day, with daily and emergency budget checks
+
+const fs = require('fs');
+const path = require('path');
+const { priceCall } = require('../config/model-prices');
+const { EnterpriseLogger } = require('./enterprise-logger');
+
+const BUDGET_MODES = ['degrade', 'reject'];
+
+const dayOf = date => date.toISOString().slice(0, 10);
+
+function emptyTotals() {
+  return {
+    cost_usd: 0,
+    calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    images: 0,
+    embeddings: 0,
+    by_operation: {},
+    by_model: {}
+  };
+}
+
+function addToTotals(totals, entry) {
+  totals.cost_usd += entry.cost_usd;
+  totals.calls += 1;
+  totals.input_tokens += entry.input_tokens;
+  totals.output_tokens += entry.output_tokens;
+  totals.images += entry.images;
+  totals.embeddings += entry.embeddings;
+  totals.by_operation[entry.operation] = (totals.by_operation[entry.operation] || 0) + entry.cost_usd;
+  totals.by_model[entry.model] = (totals.by_model[entry.model] || 0) + entry.cost_usd;
+}
+
+function mergeTotals(target, source) {
+  for (const field of ['cost_usd', 'calls', 'input_tokens', 'output_tokens', 'images', 'embeddings']) {
+    target[field] += source[field];
+  }
+  for (const group of ['by_operation', 'by_model']) {
+    for (const [key, cost] of Object.entries(source[group])) {
+      target[group][key] = (target[group][key] || 0) + cost;
+    }
+  }
+}
+
+// Sums accumulate float noise; responses show micro-dollar precision
+function roundTotals(totals) {
+  const round = value => Math.round(value * 1e6) / 1e6;
+  const roundGroup = group => Object.fromEntries(Object.entries(group).map(([key, cost]) => [key, round(cost)]));
+  return {
+    ...totals,
+    cost_usd: round(totals.cost_usd),
+    by_operation: roundGroup(totals.by_operation),
+    by_model: roundGroup(totals.by_model)
+  };
+}
+
+class InMemoryCostLedger {
+  // limits: { dailyLimit, emergencyLimit } as from getCostLimits()
+  constructor(limits, { mode = 'degrade', enabled = true } = {}) {
+    this.backend = 'memory';
+    this.limits = limits;
+    this.mode = mode;
+    this.enabled = enabled;
+    this.days = new Map();
+    this.listeners = [];
+  }
+
+  // listener(entry) runs for every call, tracked or not (e.g. metrics)
+  onRecord(listener) {
+    this.listeners.push(listener);
+  }
+
+  index(entry) {
+    const key = `${entry.tenant_id}|${dayOf(new Date(entry.timestamp))}`;
+    let totals = this.days.get(key);
+    if (!totals) {
+      totals = emptyTotals();
+      this.days.set(key, totals);
+    }
+    addToTotals(totals, entry);
+  }
+
+  // call: { model, operation, input_tokens, output_tokens, images, embeddings, metadata }
+  // Returns the stored entry, or null when cost tracking is disabled
+  async record(tenantId, call) {
+    const entry = {
+      tenant_id: tenantId,
+      timestamp: new Date().toISOString(),
+      operation: call.operation,
+      model: call.model,
+      input_tokens: call.input_tokens || 0,
+      output_tokens: call.output_tokens || 0,
+      images: call.images || 0,
+      embeddings: call.embeddings || 0,
+      cost_usd: priceCall(call),
+      metadata: call.metadata || {}
+    };
+    this.listeners.forEach(listener => listener(entry));
+
+    if (!this.enabled) {
+      return null;
+    }
+    this.index(entry);
+    return entry;
+  }
+
+  getDayTotals(tenantId, day) {
+    return this.days.get(`${tenantId}|${day}`) || emptyTotals();
+  }
+
+  // Spend of every tenant on the given day; the emergency limit applies to it
+  getPlatformDayTotal(day) {
+    let total = 0;
+    for (const [key, totals] of this.days) {
+      if (key.endsWith(`|${day}`)) total += totals.cost_usd;
+    }
+    return total;
+  }
+
+  // state: ok, degraded (daily limit hit, mode degrade) or blocked (daily
+  // limit hit in reject mode, or platform emergency limit hit). A tenant's
+  // `cost_limits.daily_usd` overrides DAILY_COST_LIMIT.
+  checkBudget(tenant) {
+    const day = dayOf(new Date());
+    const dailyLimit = (tenant.definition.cost_limits || {}).daily_usd ?? this.limits.dailyLimit;
+    const spent = this.getDayTotals(tenant.id, day).cost_usd;
+    const platformSpent = this.getPlatformDayTotal(day);
+    const budget = {
+      state: 'ok',
+      reason: null,
+      mode: this.mode,
+      tracking: this.enabled,
+      day,
+      spent_today_usd: Math.round(spent * 1e6) / 1e6,
+      daily_limit_usd: dailyLimit,
+      platform_spent_today_usd: Math.round(platformSpent * 1e6) / 1e6,
+      emergency_limit_usd: this.limits.emergencyLimit
+    };
+
+    if (!this.enabled) {
+      return budget;
+    }
+    if (platformSpent >= this.limits.emergencyLimit) {
+      return { ...budget, state: 'blocked', reason: 'emergency_limit' };
+    }
+    if (spent >= dailyLimit) {
+      return { ...budget, state: this.mode === 'reject' ? 'blocked' : 'degraded', reason: 'daily_limit' };
+    }
+    return budget;
+  }
+
+  // Per-day and per-month totals for from <= day <= to (YYYY-MM-DD, UTC)
+  getBreakdown(tenantId, { from, to }) {
+    const daily = [];
+    const months = new Map();
+    const total = emptyTotals();
+
+    for (let at = new Date(`${from}T00:00:00Z`); dayOf(at) <= to; at.setUTCDate(at.getUTCDate() + 1)) {
+      const day = dayOf(at);
+      const totals = this.getDayTotals(tenantId, day);
+      daily.push({ day, ...roundTotals(totals) });
+
+      const month = day.slice(0, 7);
+      if (!months.has(month)) months.set(month, emptyTotals());
+      mergeTotals(months.get(month), totals);
+      mergeTotals(total, totals);
+    }
+
+    return {
+      daily,
+      monthly: Array.from(months, ([month, totals]) => ({ month, ...roundTotals(totals) })),
+      total: roundTotals(total)
+    };
+  }
+}
+
+// Embedded file backend: one JSON line per call, replayed on boot so
+// budgets survive restarts
+class FileCostLedger extends InMemoryCostLedger {
+  constructor(filePath, limits, options, logger = new EnterpriseLogger({ context: { component: 'cost-ledger' } })) {
+    super(limits, options);
+    this.backend = 'file';
+    this.filePath = filePath;
+    this.logger = logger;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch (error) {
+        this.logger.warn('Invalid cost ledger line skipped', { path: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  async record(tenantId, call) {
+    const entry = await super.record(tenantId, call);
+    if (entry) {
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    }
+    return entry;
+  }
+}
+
+function createCostLedger(limits, logger) {
+  const backend = process.env.COST_LEDGER_STORE || 'memory';
+  const mode = process.env.COST_LIMIT_MODE || 'degrade';
+  if (!BUDGET_MODES.includes(mode)) {
+    throw new Error(`Unknown COST_LIMIT_MODE '${mode}' (expected ${BUDGET_MODES.join(' or ')})`);
+  }
+  const options = { mode, enabled: process.env.ENABLE_COST_TRACKING !== 'false' };
+
+  if (backend === 'file') {
+    const filePath = process.env.COST_LEDGER_PATH || path.join(process.cwd(), 'data', 'costs', 'ledger.jsonl');
+    return new FileCostLedger(filePath, limits, options, logger);
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown COST_LEDGER_STORE backend '${backend}' (expected memory or file)`);
+  }
+  return new InMemoryCostLedger(limits, options);
+}
+
+module.exports = { InMemoryCostLedger, FileCostLedger, createCostLedger };
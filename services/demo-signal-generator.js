@@ -0,0 +1,98 @@
+// MAGNETICA VDE PLATFORM - DEMO SIGNAL GENERATOR
+// Seeded, reproducible demo signals built from each segment's scoring config
+
+// Value ranges per signal type: 'high' for signals the segment weights,
+// 'low' for the rest so other segments stay under their thresholds
+const RATIO_RANGES = { high: [0.8, 1], low: [0.05, 0.35] };
+const BOOLEAN_CHANCE = { high: 0.95, low: 0.3 };
+// Normalised signals (e.g. heritage_content_time / 120) as multiples of the normaliser
+const NORMALISED_RANGES = { high: [1, 1.75], low: [0.1, 0.5] };
+// Engagement signals no segment weights, sampled from a neutral range
+const NEUTRAL_RANGES = {
+  seconds: [200, 800],
+  count: [5, 20],
+  ratio: [0.6, 1]
+};
+
+// Deterministic 32-bit hash so string and numeric seeds both work
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for demo data
+function createRng(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+}
+
+class DemoSignalGenerator {
+  constructor(signalCatalogue) {
+    this.signalCatalogue = signalCatalogue;
+  }
+
+  // Templates for every configured segment, keyed by segment id
+  buildTemplates(segments) {
+    const weightedAnywhere = new Set();
+    const normalisers = {};
+    for (const segment of Object.values(segments)) {
+      Object.keys(segment.scoring.weights).forEach(signal => weightedAnywhere.add(signal));
+      Object.assign(normalisers, segment.scoring.normalisers || {});
+    }
+
+    const templates = {};
+    for (const [segmentId, segment] of Object.entries(segments)) {
+      templates[segmentId] = this.buildTemplate(segment, weightedAnywhere, normalisers);
+    }
+    return templates;
+  }
+
+  // One sampling rule per catalogue signal: { range: [min, max] } or { chance }
+  buildTemplate(segment, weightedAnywhere, normalisers) {
+    const template = {};
+
+    for (const [signal, definition] of Object.entries(this.signalCatalogue)) {
+      const level = segment.scoring.weights[signal] !== undefined ? 'high' : 'low';
+      const neutral = !weightedAnywhere.has(signal);
+
+      if (definition.type === 'boolean') {
+        template[signal] = { chance: neutral ? 0.5 : BOOLEAN_CHANCE[level] };
+      } else if (normalisers[signal]) {
+        template[signal] = { range: NORMALISED_RANGES[level].map(factor => factor * normalisers[signal]) };
+      } else if (definition.type === 'ratio' && !neutral) {
+        template[signal] = { range: RATIO_RANGES[level] };
+      } else {
+        template[signal] = { range: NEUTRAL_RANGES[definition.type] };
+      }
+    }
+
+    return template;
+  }
+
+  sample(template, rng) {
+    const signals = {};
+    for (const [signal, rule] of Object.entries(template)) {
+      signals[signal] = rule.chance !== undefined
+        ? rng() < rule.chance
+        : rule.range[0] + rng() * (rule.range[1] - rule.range[0]);
+    }
+    return signals;
+  }
+}
+
+module.exports = { DemoSignalGenerator, createRng, randomSeed };
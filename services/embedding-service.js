@@ -0,0 +1,224 @@
+// MAGNETICA VDE PLATFORM - EMBEDDING SERVICE
+// Text embeddings via the OpenAI API, or a deterministic local stub for
+// offline/demo runs. Batches follow MAX_EMBEDDINGS_PER_BATCH, every batch
+// is recorded in the cost ledger.
+
+const { createRng } = require('./demo-signal-generator');
+
+const BACKENDS = ['openai', 'stub'];
+const REQUEST_TIMEOUT_MS = 30000;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 20000;
+// Total time one request may spend waiting between its retries
+const RETRY_BUDGET_MS = 60000;
+const STUB_CACHE_WORDS = 2000;
+
+function embeddingError(message, status = 502) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough OpenAI tokenisation (~4 characters per token) for stub accounting
+const estimateTokens = text => Math.ceil(text.length / 4);
+
+function normalise(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+class MagneticaEmbeddingService {
+  constructor(apiKeysManager, costLedger) {
+    this.apiKeysManager = apiKeysManager;
+    this.costLedger = costLedger;
+    this.maxRetries = parseInt(process.env.EMBEDDING_MAX_RETRIES, 10) || 4;
+    this.tokenVectors = new Map();
+  }
+
+  // EMBEDDING_BACKEND wins; otherwise OpenAI when a key is configured, the
+  // stub in demo mode
+  getBackend() {
+    const configured = process.env.EMBEDDING_BACKEND;
+    if (configured) {
+      if (!BACKENDS.includes(configured)) {
+        throw embeddingError(`Unknown EMBEDDING_BACKEND '${configured}' (expected ${BACKENDS.join(' or ')})`, 503);
+      }
+      return configured;
+    }
+
+    const { apiKey } = this.apiKeysManager.getOpenAIConfig();
+    if (this.apiKeysManager.isPlaceholder(apiKey) && process.env.ENABLE_DEMO_MODE === 'true') {
+      return 'stub';
+    }
+    return 'openai';
+  }
+
+  getSettings() {
+    const config = this.apiKeysManager.getOpenAIConfig();
+    return {
+      backend: this.getBackend(),
+      model: config.embeddingModel,
+      dimensions: config.embeddingDimensions,
+      batchSize: config.maxEmbeddingsPerBatch
+    };
+  }
+
+  // Returns { backend, model, dimensions, vectors, usage: { input_tokens } }
+  // with vectors in input order. options.backend forces a backend (e.g.
+  // 'stub' when the cost budget is degraded).
+  async embed(texts, { tenantId, operation = 'embedding', backend } = {}) {
+    const settings = this.getSettings();
+    const selected = backend || settings.backend;
+    const model = selected === 'stub' ? 'stub' : settings.model;
+    const vectors = [];
+    let inputTokens = 0;
+
+    for (let start = 0; start < texts.length; start += settings.batchSize) {
+      const batch = texts.slice(start, start + settings.batchSize);
+      const result = selected === 'stub'
+        ? this.embedStub(batch, settings.dimensions)
+        : await this.embedOpenAI(batch, settings);
+
+      // Billed even if the output turns out unusable
+      if (tenantId && this.costLedger) {
+        await this.costLedger.record(tenantId, {
+          operation,
+          model,
+          input_tokens: result.inputTokens,
+          embeddings: batch.length,
+          metadata: { backend: selected }
+        });
+      }
+
+      for (const vector of result.vectors) {
+        if (vector.length !== settings.dimensions) {
+          throw embeddingError(`Embedding has ${vector.length} dimensions, expected ${settings.dimensions} (PINECONE_DIMENSIONS)`);
+        }
+      }
+
+      vectors.push(...result.vectors);
+      inputTokens += result.inputTokens;
+    }
+
+    return { backend: selected, model, dimensions: settings.dimensions, vectors, usage: { input_tokens: inputTokens } };
+  }
+
+  // ===== OPENAI =====
+
+  async embedOpenAI(batch, settings) {
+    const { apiKey, organization, baseUrl } = this.apiKeysManager.getOpenAIConfig();
+    if (this.apiKeysManager.isPlaceholder(apiKey)) {
+      throw embeddingError('OPENAI_API_KEY non configurata', 503);
+    }
+
+    // Built per key: a rejected key is retried with the grace-period ones
+    const buildHeaders = key => {
+      const headers = { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' };
+      if (organization && !this.apiKeysManager.isPlaceholder(organization)) {
+        headers['OpenAI-Organization'] = organization;
+      }
+      return headers;
+    };
+
+    const body = await this.postWithRetry(`${baseUrl.replace(/\/+$/, '')}/embeddings`, buildHeaders, {
+      model: settings.model,
+      input: batch,
+      dimensions: settings.dimensions
+    });
+
+    if (!body || !Array.isArray(body.data) || body.data.length !== batch.length) {
+      throw embeddingError('Risposta OpenAI embeddings non valida');
+    }
+
+    return {
+      vectors: body.data.slice().sort((a, b) => a.index - b.index).map(item => item.embedding),
+      inputTokens: (body.usage && body.usage.prompt_tokens) || 0
+    };
+  }
+
+  // Retries 429, 5xx and network failures with exponential backoff and
+  // jitter, honouring Retry-After up to RETRY_MAX_DELAY_MS; other 4xx fail
+  // immediately, and so does a Retry-After beyond the RETRY_BUDGET_MS left
+  async postWithRetry(url, buildHeaders, payload) {
+    let waited = 0;
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let failure;
+
+      try {
+        response = await this.apiKeysManager.withSecretFallback('OPENAI_API_KEY', key => fetch(url, {
+          method: 'POST',
+          headers: buildHeaders(key),
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        }));
+      } catch (error) {
+        failure = `Connessione a OpenAI fallita: ${(error.cause && error.cause.code) || error.message}`;
+      }
+
+      if (response && response.ok) {
+        return response.json();
+      }
+
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      if (response && !retryable) {
+        const detail = await response.json().catch(() => null);
+        const message = detail && detail.error && detail.error.message;
+        throw embeddingError(`OpenAI embeddings HTTP ${response.status}${message ? `: ${message}` : ''}`,
+          response.status === 401 || response.status === 403 ? 503 : 502);
+      }
+      if (attempt >= this.maxRetries) {
+        throw embeddingError(failure || `OpenAI embeddings HTTP ${response.status} dopo ${attempt + 1} tentativi`);
+      }
+
+      const retryAfter = response && parseFloat(response.headers.get('retry-after'));
+      if (retryAfter * 1000 > RETRY_BUDGET_MS - waited) {
+        throw embeddingError(`OpenAI embeddings HTTP ${response.status}: Retry-After ${retryAfter}s oltre il tempo di attesa disponibile`);
+      }
+      const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+      const delay = retryAfter >= 0
+        ? Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS)
+        : backoff / 2 + Math.random() * backoff / 2;
+      waited += delay;
+      await sleep(delay);
+    }
+  }
+
+  // ===== STUB =====
+
+  // Feature hashing: each word maps to a fixed pseudo-random vector and a
+  // text is the normalised sum of its words, so texts sharing words land
+  // close together. Same input, same vector, no network.
+  embedStub(batch, dimensions) {
+    const vectors = batch.map(text => {
+      const sum = new Array(dimensions).fill(0);
+      const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [''];
+      for (const word of words) {
+        const wordVector = this.stubWordVector(word, dimensions);
+        for (let i = 0; i < dimensions; i++) sum[i] += wordVector[i];
+      }
+      return normalise(sum);
+    });
+
+    return { vectors, inputTokens: batch.reduce((total, text) => total + estimateTokens(String(text)), 0) };
+  }
+
+  stubWordVector(word, dimensions) {
+    const key = `${dimensions}:${word}`;
+    let vector = this.tokenVectors.get(key);
+    if (!vector) {
+      const rng = createRng(`embedding:${word}`);
+      vector = Float32Array.from({ length: dimensions }, () => rng() * 2 - 1);
+      // ~12KB per word at 3072 dimensions: keep the cache small
+      if (this.tokenVectors.size >= STUB_CACHE_WORDS) this.tokenVectors.clear();
+      this.tokenVectors.set(key, vector);
+    }
+    return vector;
+  }
+}
+
+MagneticaEmbeddingService.BACKENDS = BACKENDS;
+
+module.exports = MagneticaEmbeddingService;
@@ -0,0 +1,253 @@
+// MAGNETICA VDE PLATFORM - ENTERPRISE LOGGER
+// One JSON object per line, filtered by LOG_LEVEL, tagged with the current
+// request ID and redacted before it reaches any sink.
+//
+// Sinks (LOG_SINKS, comma separated): stdout, file (LOG_FILE_PATH), http
+// (LOG_HTTP_URL, NDJSON batches). A sink is any object with
+// write(entry, line) and optionally flush().
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SINKS = ['stdout', 'file', 'http'];
+const HTTP_BATCH_SIZE = 100;
+const HTTP_FLUSH_MS = 2000;
+const HTTP_TIMEOUT_MS = 5000;
+// Lines buffered for an unreachable collector before the oldest are dropped
+const HTTP_MAX_BUFFER = 5000;
+const MAX_DEPTH = 8;
+
+// Request-scoped context ({ requestId }) for every log call made while the
+// request is being handled, including from async continuations
+const requestContext = new AsyncLocalStorage();
+
+// ===== REDACTION =====
+
+const REDACTED = '[REDACTED]';
+// Credential-bearing keys by suffix, in snake, kebab or camel case:
+// authorization, x-api-key, openaiApiKey, access_token, accessToken,
+// clientSecret, AWS_SECRET_ACCESS_KEY... Counts such as input_tokens end in
+// `tokens` and are left alone (as are booleans like hasApiKey, in redact).
+const SECRET_KEY = /(authorization|cookie|password|passphrase|secret|token|api[_-]?key|access[_-]?key|jwt|signature)$/i;
+const TOKEN_COUNT_KEY = /tokens$/i;
+// Raw behavioural signals are personal data; counts are fine
+const SIGNAL_KEY = /^(signals|raw_signals|session_signals)$/i;
+const SECRET_PATTERNS = [
+  /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  /\bsk-[A-Za-z0-9_-]{8,}/g,
+  /\bpcsk_[A-Za-z0-9_]{8,}/g,
+  /\bmvde_[A-Za-z0-9]+_[A-Za-z0-9_-]+/g,
+  /\bwhsec_[A-Za-z0-9_-]{8,}/g
+];
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY.test(key) && !TOKEN_COUNT_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean') {
+      result[key] = REDACTED;
+    } else if (SIGNAL_KEY.test(key) && item !== null && typeof item === 'object') {
+      result[key] = REDACTED;
+    } else {
+      result[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return result;
+}
+
+// ===== SINKS =====
+
+class StdoutLogSink {
+  write(entry, line) {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+class FileLogSink {
+  constructor(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', error => {
+      process.stderr.write(`⚠️  Log file non scrivibile (${filePath}): ${error.message}\n`);
+    });
+  }
+
+  write(entry, line) {
+    this.stream.write(`${line}\n`);
+  }
+}
+
+// Batches lines and POSTs them as NDJSON. A failing collector never blocks
+// or breaks the caller: lines wait in a bounded buffer for the next flush.
+class HttpLogSink {
+  constructor(url, { headers = {} } = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.buffer = [];
+    this.flushing = null;
+    this.timer = setInterval(() => this.flush(), HTTP_FLUSH_MS);
+    this.timer.unref();
+  }
+
+  write(entry, line) {
+    this.buffer.push(line);
+    if (this.buffer.length > HTTP_MAX_BUFFER) {
+      this.buffer.splice(0, this.buffer.length - HTTP_MAX_BUFFER);
+    }
+    if (this.buffer.length >= HTTP_BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  async flush() {
+    if (this.flushing || this.buffer.length === 0) return this.flushing;
+
+    const batch = this.buffer.splice(0, HTTP_BATCH_SIZE);
+    this.flushing = fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson', ...this.headers },
+      body: `${batch.join('\n')}\n`,
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      })
+      .catch(error => {
+        this.buffer.unshift(...batch);
+        this.buffer.splice(HTTP_MAX_BUFFER);
+        process.stderr.write(`⚠️  Log collector non raggiungibile: ${(error.cause && error.cause.code) || error.message}\n`);
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+}
+
+function createLogSinks() {
+  const names = (process.env.LOG_SINKS || 'stdout').split(',').map(name => name.trim()).filter(Boolean);
+
+  return names.map(name => {
+    if (name === 'stdout') {
+      return new StdoutLogSink();
+    }
+    if (name === 'file') {
+      return new FileLogSink(process.env.LOG_FILE_PATH || path.join(process.cwd(), 'logs', 'magnetica-vde.log'));
+    }
+    if (name === 'http') {
+      if (!process.env.LOG_HTTP_URL) {
+        throw new Error('LOG_SINKS includes http but LOG_HTTP_URL is not set');
+      }
+      const token = process.env.LOG_HTTP_TOKEN;
+      return new HttpLogSink(process.env.LOG_HTTP_URL, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+    throw new Error(`Unknown log sink '${name}' (expected ${SINKS.join(', ')})`);
+  });
+}
+
+// Built on first use, after .env has been loaded, and shared by every logger
+let sharedSinks = null;
+function defaultSinks() {
+  if (!sharedSinks) {
+    sharedSinks = createLogSinks();
+  }
+  return sharedSinks;
+}
+
+// ===== LOGGER =====
+
+// VERBOSE_LOGGING=true forces debug; otherwise LOG_LEVEL, default info
+function currentLevel() {
+  if (process.env.VERBOSE_LOGGING === 'true') return 'debug';
+  const configured = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[configured] ? configured : 'info';
+}
+
+class EnterpriseLogger {
+  // context: fields added to every line (e.g. { component: 'vision-queue' });
+  // sinks: defaults to the shared LOG_SINKS sinks
+  constructor({ context = {}, sinks } = {}) {
+    this.context = context;
+    this.sinks = sinks || null;
+  }
+
+  child(context) {
+    return new EnterpriseLogger({ context: { ...this.context, ...context }, sinks: this.sinks });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[currentLevel()];
+  }
+
+  log(level, message, data) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const store = requestContext.getStore();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message: redactString(String(message)),
+      ...(store && store.requestId ? { request_id: store.requestId } : {}),
+      ...this.context
+    };
+    if (data !== undefined) {
+      entry.data = redact(data);
+    }
+
+    const line = JSON.stringify(entry);
+    for (const sink of this.sinks || defaultSinks()) {
+      try {
+        sink.write(entry, line);
+      } catch (error) {
+        process.stderr.write(`⚠️  Log sink fallito: ${error.message}\n`);
+      }
+    }
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+}
+
+EnterpriseLogger.LEVELS = LEVELS;
+
+module.exports = {
+  EnterpriseLogger,
+  StdoutLogSink,
+  FileLogSink,
+  HttpLogSink,
+  createLogSinks,
+  requestContext,
+  redact
+};
@@ -0,0 +1,99 @@
+// MAGNETICA VDE PLATFORM - HEALTH CHECKS
+// Readiness is the aggregate of named checks. A check resolves to
+// { status: 'pass' | 'warn' | 'fail', ...detail } (throwing counts as fail).
+// A failing critical check makes the instance not ready; warnings and
+// failing optional checks are reported but keep it in rotation.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const STATUSES = ['pass', 'warn', 'fail'];
+
+class MagneticaHealthChecks {
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS, optional = [] } = {}) {
+    this.timeoutMs = timeoutMs;
+    // Names made non-critical by configuration (HEALTH_OPTIONAL_CHECKS)
+    this.optional = new Set(optional);
+    this.checks = new Map();
+  }
+
+  // check: async () => { status, ...detail }; options.critical defaults to true
+  register(name, check, { critical = true } = {}) {
+    this.checks.set(name, { check, critical: critical && !this.optional.has(name) });
+    return this;
+  }
+
+  async runCheck(name, { check, critical }) {
+    const startTime = Date.now();
+    let timer;
+    let result;
+
+    try {
+      result = await Promise.race([
+        Promise.resolve().then(check),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        })
+      ]);
+    } catch (error) {
+      result = { status: 'fail', error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!result || !STATUSES.includes(result.status)) {
+      result = { status: 'fail', error: `Check '${name}' returned no valid status` };
+    }
+    return { ...result, critical, duration_ms: Date.now() - startTime };
+  }
+
+  // -> { ready, status, checks: { <name>: { status, critical, duration_ms, ... } } }
+  // status: fail when a critical check fails, warn when anything else is
+  // not passing, pass otherwise
+  async run() {
+    const entries = await Promise.all([...this.checks].map(async ([name, definition]) =>
+      [name, await this.runCheck(name, definition)]));
+    const checks = Object.fromEntries(entries);
+    const results = Object.values(checks);
+
+    const ready = !results.some(result => result.critical && result.status === 'fail');
+    const status = !ready ? 'fail' : results.every(result => result.status === 'pass') ? 'pass' : 'warn';
+    return { ready, status, checks };
+  }
+}
+
+// Nearest existing directory: where a store creates a missing one on first write
+async function existingAncestor(directory) {
+  let current = path.resolve(directory);
+  for (;;) {
+    try {
+      await fs.promises.access(current, fs.constants.F_OK);
+      return current;
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== 'ENOENT' || parent === current) throw error;
+      current = parent;
+    }
+  }
+}
+
+// Directories that must accept writes. Probes only check access: a missing
+// directory passes when the stores could create it.
+async function checkWritable(directories) {
+  const failures = [];
+  for (const directory of directories) {
+    try {
+      await fs.promises.access(await existingAncestor(directory), fs.constants.W_OK);
+    } catch (error) {
+      // Relative paths: readiness is public, the install location is not
+      failures.push({ directory: path.relative(process.cwd(), directory) || '.', error: error.code || error.message });
+    }
+  }
+
+  return failures.length > 0
+    ? { status: 'fail', checked: directories.length, failures }
+    : { status: 'pass', checked: directories.length };
+}
+
+module.exports = { MagneticaHealthChecks, checkWritable };
@@ -0,0 +1,203 @@
+// MAGNETICA VDE PLATFORM - METRICS REGISTRY
+// Counters, gauges and histograms rendered in the Prometheus text exposition
+// format (version 0.0.4) for GET /metrics. Label sets are kept in memory
+// for the life of the process, so labels must stay low-cardinality: route
+// patterns, not URLs; tenant ids, not session ids.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds: sub-millisecond classifications up to slow upstream calls
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONFIDENCE_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatValue = value => (value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value));
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Missing labels render as empty strings rather than failing the caller
+  labelValues(labels = {}) {
+    return this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : labels[name]));
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { values, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(series =>
+      `${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`)];
+  }
+}
+
+// Set directly, or sampled by `collect(gauge)` on every scrape
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    if (this.collect) this.collect(this);
+    return [...this.header(), ...[...this.series.values()].map(series =>
+      `${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index >= 0) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  // { count, sum } across every series matching `labels`
+  summary(labels = {}) {
+    let count = 0;
+    let sum = 0;
+    for (const series of this.series.values()) {
+      const matches = Object.entries(labels).every(([name, value]) => series.values[this.labelNames.indexOf(name)] === value);
+      if (matches) {
+        count += series.count;
+        sum += series.sum;
+      }
+    }
+    return { count, sum };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.values, `le="${formatValue(bound)}"`)} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.values)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric '${metric.name}' is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${[...this.metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// The platform's metrics. Routes, services and the cost ledger update them;
+// GET /metrics renders the registry.
+function createPlatformMetrics() {
+  const registry = new MetricsRegistry();
+  const startedAt = Date.now();
+
+  return {
+    registry,
+    httpRequests: registry.counter('vde_http_requests_total',
+      'HTTP requests by route pattern, method, status and tenant', ['method', 'route', 'status', 'tenant']),
+    httpDuration: registry.histogram('vde_http_request_duration_seconds',
+      'HTTP request latency by route pattern, method and status', ['method', 'route', 'status']),
+    classificationDuration: registry.histogram('vde_classification_duration_seconds',
+      'Segment classification latency', ['tenant']),
+    classifications: registry.counter('vde_classifications_total',
+      'Completed classifications by primary segment', ['tenant', 'segment']),
+    classificationConfidence: registry.histogram('vde_classification_confidence',
+      'Confidence of the primary segment', ['tenant', 'segment'], CONFIDENCE_BUCKETS),
+    classificationFailures: registry.counter('vde_classification_failures_total',
+      'Classifications that raised an error', ['tenant']),
+    ruleTriggers: registry.counter('vde_business_rule_triggers_total',
+      'Business rules triggered by classifications', ['tenant', 'rule']),
+    rateLimitRejections: registry.counter('vde_rate_limit_rejections_total',
+      'Requests refused with 429 by the IP flood guard (ip), per-client rate limits (rate_limit) or monthly quotas (quota)',
+      ['tenant', 'limiter', 'route_class']),
+    aiCalls: registry.counter('vde_ai_calls_total',
+      'Upstream AI calls (embedding and vision batches)', ['tenant', 'operation', 'model']),
+    aiCost: registry.counter('vde_ai_cost_usd_total',
+      'List-price cost of upstream AI calls in USD', ['tenant', 'operation', 'model']),
+    webhookDeliveries: registry.counter('vde_webhook_delivery_attempts_total',
+      'Webhook delivery attempts by outcome (delivered, retry, dead)', ['tenant', 'event', 'outcome']),
+    processUptime: registry.gauge('vde_process_uptime_seconds', 'Seconds since the process started', [],
+      gauge => gauge.set({}, (Date.now() - startedAt) / 1000)),
+    processMemory: registry.gauge('vde_process_memory_bytes', 'Process memory usage by kind', ['kind'],
+      gauge => {
+        const usage = process.memoryUsage();
+        gauge.set({ kind: 'rss' }, usage.rss);
+        gauge.set({ kind: 'heap_used' }, usage.heapUsed);
+        gauge.set({ kind: 'heap_total' }, usage.heapTotal);
+      })
+  };
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, createPlatformMetrics, CONTENT_TYPE, LATENCY_BUCKETS };
@@ -0,0 +1,127 @@
+// MAGNETICA VDE PLATFORM - REQUEST VALIDATOR
+// JSON Schema validation for request bodies, params, query and headers
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Ajv keyword -> machine-readable violation code
+const VIOLATION_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  enum: 'invalid_value',
+  const: 'invalid_value',
+  anyOf: 'invalid_value',
+  oneOf: 'invalid_value',
+  minimum: 'out_of_range',
+  maximum: 'out_of_range',
+  exclusiveMinimum: 'out_of_range',
+  exclusiveMaximum: 'out_of_range',
+  additionalProperties: 'unknown_field',
+  propertyNames: 'unknown_field',
+  pattern: 'invalid_format',
+  format: 'invalid_format',
+  minLength: 'too_short',
+  maxLength: 'too_long',
+  minItems: 'too_few_items',
+  maxItems: 'too_many_items',
+  minProperties: 'too_few_fields'
+};
+
+const compiled = new WeakMap();
+
+function compile(schema) {
+  if (!compiled.has(schema)) {
+    compiled.set(schema, ajv.compile(schema));
+  }
+  return compiled.get(schema);
+}
+
+// '/events/0/type' -> 'events[0].type'
+function toFieldPath(instancePath, prefix) {
+  const segments = instancePath.split('/').slice(1);
+  let fieldPath = prefix || '';
+
+  for (const segment of segments) {
+    if (/^\d+$/.test(segment)) {
+      fieldPath += `[${segment}]`;
+    } else {
+      fieldPath += fieldPath ? `.${segment}` : segment;
+    }
+  }
+  return fieldPath;
+}
+
+// Keeps one violation per failed field: if/then wrappers, the branches of a
+// failed anyOf and the inner errors of propertyNames only repeat it
+function isRedundant(error, errors) {
+  if (error.keyword === 'if' || error.propertyName !== undefined) {
+    return true;
+  }
+  return errors.some(other =>
+    (other.keyword === 'anyOf' || other.keyword === 'oneOf') && other !== error &&
+    other.instancePath === error.instancePath &&
+    error.schemaPath.startsWith(`${other.schemaPath}/`));
+}
+
+function formatErrors(errors, location, prefix) {
+  return errors
+    .filter(error => !isRedundant(error, errors))
+    .map(error => {
+      let fieldPath = toFieldPath(error.instancePath, prefix);
+      const child = error.params.missingProperty || error.params.additionalProperty || error.params.propertyName;
+      if (child) {
+        fieldPath = fieldPath ? `${fieldPath}.${child}` : child;
+      }
+
+      return {
+        location,
+        path: fieldPath,
+        code: VIOLATION_CODES[error.keyword] || error.keyword,
+        message: error.params.allowedValues
+          ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+          : error.message
+      };
+    });
+}
+
+// Returns every violation of data against schema; empty when valid
+function validateAgainst(schema, data, { location = 'body', prefix = '' } = {}) {
+  const validate = compile(schema);
+  return validate(data) ? [] : formatErrors(validate.errors, location, prefix);
+}
+
+// Express middleware. Each entry may be a schema or a function of req
+// returning one, for schemas that depend on a route param. The schemas are
+// exposed as `apiDoc` for the route registry's OpenAPI document.
+function validateRequest(schemas) {
+  const middleware = (req, res, next) => {
+    const violations = [];
+
+    for (const location of ['headers', 'params', 'query', 'body']) {
+      const schema = typeof schemas[location] === 'function' ? schemas[location](req) : schemas[location];
+      if (!schema) continue;
+
+      const data = location === 'body' && req.body === undefined ? {} : req[location];
+      violations.push(...validateAgainst(schema, data, { location }));
+    }
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request validation failed',
+        violations,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next();
+  };
+  middleware.apiDoc = { schemas };
+  return middleware;
+}
+
+module.exports = { validateRequest, validateAgainst };
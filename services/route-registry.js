@@ -0,0 +1,273 @@
+// MAGNETICA VDE PLATFORM - ROUTE REGISTRY
+// Routes are registered here instead of on the Express app directly, with a
+// summary and tags. The registry mounts them and derives the OpenAPI 3.1
+// document, the docs page, the 404 endpoint list and the startup banner
+// from the same definitions.
+//
+// Middleware describes itself through an `apiDoc` property, so the spec
+// follows the handler chain: { scope } (requireScope), { schemas }
+// (validateRequest), { tenant: true } (resolveTenant), { routeClass }
+// (meterUsage), { costBudget: true } (requireCostBudget), { pathEnums }
+// (param lookups such as resolveAdminCollection).
+
+const METHODS = ['get', 'post', 'put', 'delete'];
+
+const ERROR_RESPONSES = {
+  400: 'Request validation failed',
+  401: 'Authentication required',
+  403: 'Missing scope, or X-Tenant-ID outside the credential\'s tenant',
+  404: 'Unknown tenant or resource',
+  429: 'Rate limit, monthly quota or daily cost limit reached',
+  503: 'Platform emergency cost limit reached, or upstream service unavailable'
+};
+
+// '/jobs/:jobId/:action(cancel|resume)' -> path '/jobs/{jobId}/{action}'
+// plus the enum of constrained params
+function toOpenAPIPath(expressPath) {
+  const enums = {};
+  const names = [];
+  const openapiPath = expressPath.replace(/:(\w+)(?:\(([^)]+)\))?/g, (match, name, pattern) => {
+    names.push(name);
+    if (pattern && /^[\w|-]+$/.test(pattern)) {
+      enums[name] = pattern.split('|');
+    }
+    return `{${name}}`;
+  });
+  return { openapiPath, names, enums };
+}
+
+// Functions of req pick the schema per request (e.g. per admin collection)
+function documentedSchema(schema) {
+  return typeof schema === 'function'
+    ? { type: 'object', description: 'Schema depends on the path parameters' }
+    : schema;
+}
+
+function schemaParameters(schema, location) {
+  if (!schema || typeof schema === 'function' || !schema.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: required.includes(name),
+    schema: property
+  }));
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+class MagneticaRouteRegistry {
+  constructor(app) {
+    this.app = app;
+    this.routes = [];
+    this.document = null;
+  }
+
+  // doc: { summary, description, tags, status (success status, default 200),
+  //   contentType (of a non-JSON success body), responses ({ <status>:
+  //   description } the handler adds beyond the middleware's) }
+  route(method, paths, doc, ...handlers) {
+    this.app[method](paths, ...handlers);
+
+    const chain = handlers.flat(Infinity);
+    const apiDoc = Object.assign({}, ...chain.map(handler => handler.apiDoc || {}));
+    for (const path of [].concat(paths)) {
+      this.routes.push({ method, path, ...doc, apiDoc });
+    }
+    this.document = null;
+    return this;
+  }
+
+  // 'GET /api/v1/demo' for every route, in registration order
+  endpointList() {
+    return this.routes.map(route => `${route.method.toUpperCase()} ${route.path}`);
+  }
+
+  operation(route) {
+    const { apiDoc } = route;
+    const schemas = apiDoc.schemas || {};
+    const { names, enums: patternEnums } = toOpenAPIPath(route.path);
+    const enums = { ...apiDoc.pathEnums, ...patternEnums };
+    const paramSchemas = (schemas.params && typeof schemas.params !== 'function' && schemas.params.properties) || {};
+
+    const parameters = [
+      ...names.map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: enums[name] ? { type: 'string', enum: enums[name] } : paramSchemas[name] || { type: 'string' }
+      })),
+      ...schemaParameters(schemas.query, 'query'),
+      ...schemaParameters(schemas.headers, 'header')
+    ];
+    if (apiDoc.tenant && !parameters.some(parameter => parameter.name.toLowerCase() === 'x-tenant-id')) {
+      parameters.push({
+        name: 'X-Tenant-ID',
+        in: 'header',
+        required: false,
+        description: 'Tenant for platform credentials; tenant-bound credentials may only repeat their own',
+        schema: { type: 'string' }
+      });
+    }
+
+    const status = String(route.status || 200);
+    const responses = {
+      [status]: {
+        description: 'Success',
+        content: route.contentType
+          ? { [route.contentType]: { schema: { type: 'string' } } }
+          : { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+      }
+    };
+    const errors = [];
+    if (apiDoc.schemas) errors.push(400);
+    if (apiDoc.scope) errors.push(401, 403);
+    if (apiDoc.tenant) errors.push(403, 404);
+    if (apiDoc.routeClass || apiDoc.costBudget) errors.push(429);
+    if (apiDoc.costBudget) errors.push(503);
+    for (const code of [...new Set(errors)].sort()) {
+      const schema = code === 400 ? 'ValidationErrorResponse' : 'ErrorResponse';
+      responses[code] = {
+        description: ERROR_RESPONSES[code],
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+      };
+    }
+
+    for (const [code, description] of Object.entries(route.responses || {})) {
+      responses[code] = { description };
+    }
+
+    const operation = {
+      operationId: `${route.method}${route.path.replace(/\([^)]*\)/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))}`,
+      summary: route.summary,
+      tags: route.tags || [],
+      parameters,
+      responses,
+      security: apiDoc.scope ? [{ ApiKeyAuth: [] }, { BearerAuth: [] }] : []
+    };
+    if (route.description) operation.description = route.description;
+    if (apiDoc.scope) operation['x-required-scope'] = apiDoc.scope;
+    if (apiDoc.routeClass) operation['x-usage-route-class'] = apiDoc.routeClass;
+    if (schemas.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: documentedSchema(schemas.body) } }
+      };
+    }
+    return operation;
+  }
+
+  // Built once per set of routes
+  toOpenAPI(info) {
+    if (this.document) return this.document;
+
+    const paths = {};
+    for (const route of this.routes) {
+      const { openapiPath } = toOpenAPIPath(route.path);
+      paths[openapiPath] = paths[openapiPath] || {};
+      paths[openapiPath][route.method] = this.operation(route);
+    }
+
+    this.document = {
+      openapi: '3.1.0',
+      info,
+      paths,
+      components: {
+        securitySchemes: {
+          ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+          BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        },
+        schemas: {
+          SuccessResponse: {
+            type: 'object',
+            properties: { success: { const: true }, data: {}, timestamp: { type: 'string', format: 'date-time' } }
+          },
+          ErrorResponse: {
+            type: 'object',
+            properties: {
+              success: { const: false },
+              error: { type: 'string' },
+              reason: { type: 'string' },
+              timestamp: { type: 'string', format: 'date-time' },
+              path: { type: 'string' }
+            }
+          },
+          ValidationErrorResponse: {
+            type: 'object',
+            properties: {
+              success: { const: false },
+              error: { type: 'string' },
+              violations: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    location: { type: 'string', enum: ['headers', 'params', 'query', 'body'] },
+                    path: { type: 'string' },
+                    code: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              },
+              timestamp: { type: 'string', format: 'date-time' },
+              path: { type: 'string' }
+            }
+          }
+        }
+      }
+    };
+    return this.document;
+  }
+
+  // Self-contained HTML page (no external assets), grouped by tag
+  toHtml(info, specUrl) {
+    const groups = new Map();
+    for (const route of this.routes) {
+      const tag = (route.tags && route.tags[0]) || 'other';
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(route);
+    }
+
+    const sections = [...groups].map(([tag, routes]) => `
+  <h2>${escapeHtml(tag)}</h2>
+  <table>
+    ${routes.map(route => `<tr>
+      <td class="method ${route.method}">${route.method.toUpperCase()}</td>
+      <td><code>${escapeHtml(route.path)}</code></td>
+      <td>${escapeHtml(route.summary || '')}${route.description ? `<br><small>${escapeHtml(route.description)}</small>` : ''}</td>
+      <td>${route.apiDoc.scope ? `<code>${escapeHtml(route.apiDoc.scope)}</code>` : 'public'}</td>
+    </tr>`).join('\n    ')}
+  </table>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(info.title)} - API</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 72rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+    td { border-bottom: 1px solid #e5e5e5; padding: .4rem .6rem; vertical-align: top; }
+    .method { font-weight: 600; width: 4.5rem; }
+    .get { color: #1a7f37; } .post { color: #0969da; } .put { color: #9a6700; } .delete { color: #cf222e; }
+    small { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(info.title)} <small>${escapeHtml(info.version)}</small></h1>
+  <p>${escapeHtml(info.description || '')} OpenAPI document: <a href="${escapeHtml(specUrl)}">${escapeHtml(specUrl)}</a></p>
+${sections}
+</body>
+</html>
+`;
+  }
+}
+
+for (const method of METHODS) {
+  MagneticaRouteRegistry.prototype[method] = function register(paths, doc, ...handlers) {
+    return this.route(method, paths, doc, ...handlers);
+  };
+}
+
+module.exports = MagneticaRouteRegistry;
@@ -0,0 +1,201 @@
+// MAGNETICA VDE PLATFORM - SESSION ANALYTICS
+// Aggregates stored classifications into per-tenant analytics
+
+const GRANULARITY_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+const DEFAULT_RANGE_MS = 7 * GRANULARITY_MS.day;
+const MAX_BUCKETS = 1000;
+const HIGH_CONSULTATION_READINESS = 0.8;
+// Relative change below which a metric is reported as stable
+const INSIGHT_MIN_CHANGE = 0.05;
+
+class SessionAnalyticsService {
+  constructor(sessionStore) {
+    this.sessionStore = sessionStore;
+  }
+
+  // Shapes are checked by the request schema; this adds the checks that
+  // depend on other fields or on the tenant. Returns { query } or { errors }.
+  parseQuery(query, segments) {
+    const errors = [];
+    const violation = (field, code, message) => errors.push({ location: 'query', path: field, code, message });
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_MS);
+    const granularity = query.granularity || 'day';
+
+    if (from >= to) {
+      violation('from', 'invalid_range', 'must be before to');
+    } else if ((to - from) / GRANULARITY_MS[granularity] > MAX_BUCKETS) {
+      violation('granularity', 'too_many_buckets', `range would produce more than ${MAX_BUCKETS} buckets`);
+    }
+    if (query.segment !== undefined && !segments[query.segment]) {
+      violation('segment', 'unknown_segment', `unknown segment '${query.segment}'`);
+    }
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+    return { query: { from, to, granularity, segment: query.segment, includeDemo: query.include_demo === 'true' } };
+  }
+
+  // Demo-mode classifications are left out unless includeDemo is set
+  async computeAnalytics(tenantId, { from, to, granularity, segment, includeDemo }) {
+    const periodMs = to - from;
+    const previousFrom = new Date(from.getTime() - periodMs);
+
+    const filter = records => records.filter(record =>
+      (includeDemo || !record.demo_mode) &&
+      (!segment || record.classification.primary_segment === segment));
+
+    const current = filter(await this.sessionStore.listRecords(tenantId, { from, to }));
+    const previous = filter(await this.sessionStore.listRecords(tenantId, { from: previousFrom, to: from }));
+
+    const summary = this.summarise(current);
+    const previousSummary = this.summarise(previous);
+    const trends = this.compare(summary, previousSummary);
+
+    return {
+      range: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        granularity,
+        segment: segment || null,
+        include_demo: !!includeDemo,
+        previous_period: { from: previousFrom.toISOString(), to: from.toISOString() }
+      },
+      summary,
+      trends,
+      timeseries: this.bucket(current, from, to, granularity),
+      executiveInsights: this.generateInsights(summary, previousSummary, trends)
+    };
+  }
+
+  // Sessions are counted once, using their latest classification in range
+  summarise(records) {
+    const latestBySession = new Map();
+    for (const record of records) {
+      latestBySession.set(record.session_id, record);
+    }
+
+    const sessions = Array.from(latestBySession.values());
+    const distribution = {};
+    for (const record of sessions) {
+      const segmentId = record.classification.primary_segment;
+      distribution[segmentId] = distribution[segmentId] || { sessions: 0, share: 0 };
+      distribution[segmentId].sessions++;
+    }
+    for (const entry of Object.values(distribution)) {
+      entry.share = entry.sessions / sessions.length;
+    }
+
+    return {
+      totalSessions: sessions.length,
+      totalClassifications: records.length,
+      segmentDistribution: distribution,
+      averageConfidence: this.average(sessions.map(record => record.classification.confidence_score)),
+      averageConsultationReadiness: this.average(sessions.map(record => record.classification.consultation_readiness_score)),
+      consultationReadySessions: sessions.filter(record =>
+        record.classification.consultation_readiness_score > HIGH_CONSULTATION_READINESS).length
+    };
+  }
+
+  compare(current, previous) {
+    const segmentShareDelta = {};
+    const segmentIds = new Set([
+      ...Object.keys(current.segmentDistribution),
+      ...Object.keys(previous.segmentDistribution)
+    ]);
+    for (const segmentId of segmentIds) {
+      const now = current.segmentDistribution[segmentId] ? current.segmentDistribution[segmentId].share : 0;
+      const before = previous.segmentDistribution[segmentId] ? previous.segmentDistribution[segmentId].share : 0;
+      segmentShareDelta[segmentId] = now - before;
+    }
+
+    return {
+      sessions: this.delta(current.totalSessions, previous.totalSessions),
+      averageConfidence: this.delta(current.averageConfidence, previous.averageConfidence),
+      averageConsultationReadiness: this.delta(current.averageConsultationReadiness, previous.averageConsultationReadiness),
+      consultationReadySessions: this.delta(current.consultationReadySessions, previous.consultationReadySessions),
+      segmentShareDelta
+    };
+  }
+
+  // change is relative to the previous value; null when there is no baseline
+  delta(current, previous) {
+    return {
+      current,
+      previous,
+      change: previous ? (current - previous) / previous : null
+    };
+  }
+
+  bucket(records, from, to, granularity) {
+    const size = GRANULARITY_MS[granularity];
+    const buckets = [];
+
+    for (let start = from.getTime(); start < to.getTime(); start += size) {
+      buckets.push({ start: new Date(start).toISOString(), sessions: new Set(), classifications: 0, confidence: [] });
+    }
+    for (const record of records) {
+      const bucket = buckets[Math.floor((new Date(record.timestamp).getTime() - from.getTime()) / size)];
+      bucket.sessions.add(record.session_id);
+      bucket.classifications++;
+      bucket.confidence.push(record.classification.confidence_score);
+    }
+
+    return buckets.map(bucket => ({
+      start: bucket.start,
+      sessions: bucket.sessions.size,
+      classifications: bucket.classifications,
+      averageConfidence: this.average(bucket.confidence)
+    }));
+  }
+
+  generateInsights(summary, previousSummary, trends) {
+    const insights = [];
+    const percent = value => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+
+    if (summary.totalSessions === 0) {
+      return ['ℹ️ No classified sessions in the selected period'];
+    }
+
+    if (trends.sessions.change === null) {
+      insights.push(`📈 SESSIONS: ${summary.totalSessions} classified sessions (no data in previous period)`);
+    } else if (Math.abs(trends.sessions.change) >= INSIGHT_MIN_CHANGE) {
+      insights.push(`📈 SESSIONS: ${percent(trends.sessions.change)} vs previous period (${summary.totalSessions} vs ${previousSummary.totalSessions})`);
+    } else {
+      insights.push(`📈 SESSIONS: stable at ${summary.totalSessions} vs previous period`);
+    }
+
+    const [topSegment, topEntry] = Object.entries(summary.segmentDistribution)
+      .sort((a, b) => b[1].sessions - a[1].sessions)[0];
+    insights.push(`🎯 SEGMENT: ${topSegment} leads with ${Math.round(topEntry.share * 100)}% of sessions`);
+
+    const [movedSegment, shareDelta] = Object.entries(trends.segmentShareDelta)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))[0];
+    if (previousSummary.totalSessions > 0 && Math.abs(shareDelta) >= INSIGHT_MIN_CHANGE) {
+      const points = Math.round(shareDelta * 100);
+      insights.push(`🔥 TREND: ${movedSegment} share ${points > 0 ? 'up' : 'down'} ${Math.abs(points)} pts vs previous period`);
+    }
+
+    if (summary.consultationReadySessions > 0) {
+      insights.push(`💰 OPPORTUNITY: ${summary.consultationReadySessions} consultation-ready sessions in period`);
+    }
+
+    const confidenceChange = trends.averageConfidence.change;
+    if (confidenceChange !== null && Math.abs(confidenceChange) >= INSIGHT_MIN_CHANGE) {
+      insights.push(`⚡ INSIGHT: average classification confidence ${percent(confidenceChange)} vs previous period`);
+    }
+
+    return insights;
+  }
+
+  average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+}
+
+module.exports = SessionAnalyticsService;
@@ -0,0 +1,176 @@
+// MAGNETICA VDE PLATFORM - SESSION SIGNAL AGGREGATOR
+// Rolls raw storefront events up into the classification signal vector
+
+const EVENT_TYPES = ['page_view', 'product_interaction', 'room_navigation', 'document_download', 'session_start'];
+
+// Content tag -> ratio signal fed by the dwell time share of tagged pages
+const TAG_SIGNALS = {
+  designer_story: 'designer_story_engagement',
+  craftsmanship: 'craftsmanship_content_focus',
+  project: 'complete_project_interest',
+  minimal: 'clean_aesthetic_preference',
+  integration: 'integration_content_focus',
+  contemporary: 'contemporary_browsing_pattern',
+  commercial: 'commercial_scale_indicators',
+  durability: 'durability_specs_interest',
+  technical: 'technical_documentation_focus'
+};
+
+// How much each product action says about purchase intent
+const INTERACTION_WEIGHTS = {
+  view: 0.2,
+  zoom: 0.4,
+  configure: 0.7,
+  wishlist: 0.8,
+  add_to_cart: 1
+};
+
+const PREMIUM_PRICE_BANDS = ['premium', 'luxury'];
+const TECHNICAL_DOCUMENTS = ['spec_sheet', 'technical', 'installation_guide'];
+// Technical downloads needed for technical_documentation_focus to saturate
+const TECHNICAL_DOWNLOADS_SATURATION = 3;
+// Client clocks drift: event timestamps may run this far ahead of server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class SessionSignalAggregator {
+  constructor(options = {}) {
+    this.sessionTtlMs = options.sessionTtlMs || parseInt(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.sessions = new Map();
+    this.lastPruneAt = 0;
+  }
+
+  createSessionState(now) {
+    return {
+      firstEventAt: now,
+      lastEventAt: now,
+      eventCount: 0,
+      pageViews: 0,
+      totalDwell: 0,
+      dwellByTag: {},
+      heritageDwell: 0,
+      rooms: new Set(),
+      interactionScore: 0,
+      interactionCount: 0,
+      premiumInteractions: 0,
+      technicalDownloads: 0,
+      returningVisitor: false
+    };
+  }
+
+  // Clamped to [now - session TTL, now + MAX_CLOCK_SKEW_MS], so one bogus
+  // timestamp cannot inflate session_duration
+  eventTime(event, now) {
+    if (event.timestamp === undefined) return now;
+    const at = new Date(event.timestamp).getTime();
+    return Math.min(Math.max(at, now - this.sessionTtlMs), now + MAX_CLOCK_SKEW_MS);
+  }
+
+  // A single page view cannot outlast the session TTL
+  eventDwell(event) {
+    return Math.min(event.dwell_seconds || 0, this.sessionTtlMs / 1000);
+  }
+
+  // Applies events to the session and returns the session state
+  ingest(tenantId, sessionId, events) {
+    const key = `${tenantId}:${sessionId}`;
+    const now = Date.now();
+    this.pruneExpired(now);
+
+    let state = this.sessions.get(key);
+    if (!state) {
+      state = this.createSessionState(now);
+      this.sessions.set(key, state);
+    }
+
+    for (const event of events) {
+      const at = this.eventTime(event, now);
+      state.firstEventAt = Math.min(state.firstEventAt, at);
+      state.lastEventAt = Math.max(state.lastEventAt, at);
+      state.eventCount++;
+
+      if (event.returning_visitor === true) {
+        state.returningVisitor = true;
+      }
+      if (event.room) {
+        state.rooms.add(event.room);
+      }
+
+      switch (event.type) {
+        case 'page_view': {
+          const dwell = this.eventDwell(event);
+          const tags = event.content_tags || [];
+          state.pageViews++;
+          state.totalDwell += dwell;
+          for (const tag of tags) {
+            state.dwellByTag[tag] = (state.dwellByTag[tag] || 0) + dwell;
+          }
+          if (tags.includes('heritage')) {
+            state.heritageDwell += dwell;
+          }
+          break;
+        }
+        case 'product_interaction':
+          state.interactionCount++;
+          state.interactionScore += INTERACTION_WEIGHTS[event.action];
+          if (PREMIUM_PRICE_BANDS.includes(event.price_band)) {
+            state.premiumInteractions++;
+          }
+          break;
+        case 'document_download':
+          if (TECHNICAL_DOCUMENTS.includes(event.document_type)) {
+            state.technicalDownloads++;
+          }
+          break;
+      }
+    }
+
+    state.lastSeenAt = now;
+    return state;
+  }
+
+  // Derives the full signal vector expected by validateSegmentClassification
+  deriveSignals(state) {
+    const tagShare = tag => (state.totalDwell > 0 ? (state.dwellByTag[tag] || 0) / state.totalDwell : 0);
+    const signals = {};
+
+    for (const [tag, signal] of Object.entries(TAG_SIGNALS)) {
+      signals[signal] = tagShare(tag);
+    }
+
+    signals.technical_documentation_focus = Math.max(
+      signals.technical_documentation_focus,
+      Math.min(state.technicalDownloads / TECHNICAL_DOWNLOADS_SATURATION, 1)
+    );
+    signals.heritage_content_time = state.heritageDwell;
+    signals.multi_room_navigation = state.rooms.size >= 2;
+    signals.budget_premium_indicators = state.interactionCount > 0 ? state.premiumInteractions / state.interactionCount : 0;
+    signals.session_duration = Math.max((state.lastEventAt - state.firstEventAt) / 1000, state.totalDwell);
+    signals.page_depth = state.pageViews;
+    signals.product_interaction_quality = state.interactionCount > 0 ? state.interactionScore / state.interactionCount : 0;
+    signals.return_visitor_pattern = state.returningVisitor;
+
+    return signals;
+  }
+
+  getSession(tenantId, sessionId) {
+    return this.sessions.get(`${tenantId}:${sessionId}`) || null;
+  }
+
+  // Idle sessions are dropped at most once a minute
+  pruneExpired(now) {
+    if (now - this.lastPruneAt < 60 * 1000) return;
+    this.lastPruneAt = now;
+
+    for (const [key, state] of this.sessions) {
+      if (now - state.lastSeenAt > this.sessionTtlMs) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+}
+
+// Event vocabulary, exposed for the request schemas
+SessionSignalAggregator.EVENT_TYPES = EVENT_TYPES;
+SessionSignalAggregator.INTERACTION_ACTIONS = Object.keys(INTERACTION_WEIGHTS);
+
+module.exports = SessionSignalAggregator;
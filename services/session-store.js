@@ -0,0 +1,148 @@
+// MAGNETICA VDE PLATFORM - SESSION STORE
+// Classification history per tenant/session, with in-memory and file backends
+
+const fs = require('fs');
+const path = require('path');
+const { EnterpriseLogger } = require('./enterprise-logger');
+
+// Records kept in memory per session; the file backend keeps everything on disk
+const MAX_RECORDS_PER_SESSION = 500;
+// Sessions are dropped at most once a minute
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class InMemorySessionStore {
+  // sessionTtlMs: idle time after which a session's history is dropped, the
+  // same TTL as the aggregator's event rollups
+  constructor({ sessionTtlMs = parseInt(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000 } = {}) {
+    this.backend = 'memory';
+    this.sessions = new Map();
+    this.lastSeenAt = new Map();
+    this.sessionTtlMs = sessionTtlMs;
+    this.lastPruneAt = 0;
+  }
+
+  key(tenantId, sessionId) {
+    return `${tenantId}:${sessionId}`;
+  }
+
+  index(record) {
+    const key = this.key(record.tenant_id, record.session_id);
+    let records = this.sessions.get(key);
+    if (!records) {
+      records = [];
+      this.sessions.set(key, records);
+    }
+    records.push(record);
+    if (records.length > MAX_RECORDS_PER_SESSION) {
+      records.shift();
+    }
+  }
+
+  // record: { source, signals, classification, triggered_rules, demo_mode },
+  // optionally with a timestamp for backfilled data
+  async recordClassification(tenantId, sessionId, record) {
+    const stored = {
+      tenant_id: tenantId,
+      session_id: sessionId,
+      timestamp: new Date().toISOString(),
+      ...record
+    };
+    const now = Date.now();
+    this.pruneExpired(now);
+    this.index(stored);
+    this.lastSeenAt.set(this.key(tenantId, sessionId), now);
+    return stored;
+  }
+
+  // X-Session-ID is chosen by the client, so idle sessions must not pile up
+  pruneExpired(now) {
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+    this.lastPruneAt = now;
+
+    for (const [key, lastSeenAt] of this.lastSeenAt) {
+      if (now - lastSeenAt > this.sessionTtlMs) {
+        this.lastSeenAt.delete(key);
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  // Oldest first; empty when the session is unknown
+  async getSessionRecords(tenantId, sessionId) {
+    return (this.sessions.get(this.key(tenantId, sessionId)) || []).slice();
+  }
+
+  // Every record of the tenant with from <= timestamp < to, oldest first
+  async listRecords(tenantId, { from, to }) {
+    const prefix = `${tenantId}:`;
+    const records = [];
+
+    for (const [key, sessionRecords] of this.sessions) {
+      if (!key.startsWith(prefix)) continue;
+      for (const record of sessionRecords) {
+        const at = new Date(record.timestamp).getTime();
+        if (at >= from.getTime() && at < to.getTime()) {
+          records.push(record);
+        }
+      }
+    }
+
+    return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+}
+
+// Embedded file backend: one JSON line per classification, replayed into
+// memory on boot
+class FileSessionStore extends InMemorySessionStore {
+  constructor(filePath, logger = new EnterpriseLogger({ context: { component: 'session-store' } })) {
+    super();
+    this.backend = 'file';
+    this.filePath = filePath;
+    this.logger = logger;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.load();
+  }
+
+  // The file backend keeps every session, as on disk
+  pruneExpired() {}
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch (error) {
+        // A torn last line from a crash must not prevent boot
+        this.logger.warn('Invalid session line skipped', { path: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  async recordClassification(tenantId, sessionId, record) {
+    const stored = await super.recordClassification(tenantId, sessionId, record);
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(stored)}\n`);
+    return stored;
+  }
+}
+
+// options: { sessionTtlMs } for the memory backend
+function createSessionStore(logger, options = {}) {
+  const backend = process.env.SESSION_STORE || 'memory';
+
+  if (backend === 'file') {
+    const filePath = process.env.SESSION_STORE_PATH || path.join(process.cwd(), 'data', 'sessions', 'sessions.jsonl');
+    return new FileSessionStore(filePath, logger);
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown SESSION_STORE backend '${backend}' (expected memory or file)`);
+  }
+  return new InMemorySessionStore(options);
+}
+
+module.exports = { InMemorySessionStore, FileSessionStore, createSessionStore };
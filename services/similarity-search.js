@@ -0,0 +1,140 @@
+// MAGNETICA VDE PLATFORM - SIMILARITY SEARCH
+// Visual discovery over the tenant's catalogue vectors: by product, by text
+// or by catalogue image, optionally re-ranked toward the content angle of
+// the caller's session segment
+
+// Candidates fetched per requested result when re-ranking
+const RERANK_CANDIDATE_FACTOR = 3;
+// Share of the remaining distance to a perfect score (1) added for items
+// matching the session's content angle; additive, so it lifts negative
+// cosine scores too
+const CONTENT_ANGLE_BOOST = 0.15;
+
+function searchError(message, status, reason) {
+  const error = new Error(message);
+  error.status = status;
+  error.reason = reason;
+  return error;
+}
+
+// A filter value is one value or a list of accepted values
+const anyOf = value => ({ $in: Array.isArray(value) ? value : [value] });
+
+class MagneticaSimilaritySearch {
+  constructor(vectorStore, embeddingService, sessionStore) {
+    this.vectorStore = vectorStore;
+    this.embeddingService = embeddingService;
+    this.sessionStore = sessionStore;
+  }
+
+  // Request filters -> vector store metadata filter (null when empty)
+  buildFilter(filters = {}) {
+    const clauses = [];
+    for (const field of ['category', 'designer', 'price_band']) {
+      if (filters[field] !== undefined) {
+        clauses.push({ [field]: anyOf(filters[field]) });
+      }
+    }
+    if (filters.price_min !== undefined || filters.price_max !== undefined) {
+      const price = {};
+      if (filters.price_min !== undefined) price.$gte = filters.price_min;
+      if (filters.price_max !== undefined) price.$lte = filters.price_max;
+      clauses.push({ price });
+    }
+
+    if (clauses.length === 0) return null;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  // -> { vector, reference, excludeId }
+  async resolveQueryVector(tenant, params, budget) {
+    if (params.product_id) {
+      const [item] = await this.vectorStore.fetch(tenant.id, [params.product_id]);
+      if (!item) {
+        throw searchError(`Product '${params.product_id}' not found in the catalogue index`, 404, 'unknown_product');
+      }
+      return { vector: item.values, reference: { type: 'product', id: item.id }, excludeId: item.id };
+    }
+
+    if (params.image_url) {
+      // Only catalogue images are indexed; any unit vector works to rank a
+      // filter that selects a single item
+      const probe = new Array(this.vectorStore.dimension).fill(0);
+      probe[0] = 1;
+      const [item] = await this.vectorStore.query(tenant.id, {
+        vector: probe,
+        topK: 1,
+        filter: { image_urls: params.image_url },
+        includeValues: true
+      });
+      if (!item) {
+        throw searchError('Image not found in the catalogue index; only catalogue images can be searched', 404, 'unknown_image');
+      }
+      return { vector: item.values, reference: { type: 'image', id: item.id, image_url: params.image_url }, excludeId: item.id };
+    }
+
+    // Text queries are the only billed path: over the daily budget they are
+    // refused while product and image searches keep working
+    if (budget && budget.state === 'degraded' && this.embeddingService.getBackend() !== 'stub') {
+      throw searchError('Daily AI cost limit reached: text search is paused, product and image search remain available', 429, 'daily_limit');
+    }
+
+    const embedding = await this.embeddingService.embed([params.query], { tenantId: tenant.id, operation: 'search_query' });
+    return { vector: embedding.vectors[0], reference: { type: 'text', query: params.query }, excludeId: null };
+  }
+
+  // Segment and content angle of the session's latest classification
+  async resolveSessionAngle(tenant, sessionId) {
+    const records = await this.sessionStore.getSessionRecords(tenant.id, sessionId);
+    const latest = records[records.length - 1];
+    if (!latest) return null;
+
+    return {
+      session_id: sessionId,
+      segment: latest.classification.primary_segment,
+      content_angle: latest.classification.recommended_content_angle
+    };
+  }
+
+  // params: { product_id | query | image_url, top_k, filters, rerank }
+  async search(tenant, params, { sessionId, budget } = {}) {
+    const topK = params.top_k || 10;
+    const { vector, reference, excludeId } = await this.resolveQueryVector(tenant, params, budget);
+    const session = sessionId && params.rerank !== false ? await this.resolveSessionAngle(tenant, sessionId) : null;
+    const candidates = await this.vectorStore.query(tenant.id, {
+      vector,
+      // One extra so excluding the reference item still leaves topK
+      topK: (session ? topK * RERANK_CANDIDATE_FACTOR : topK) + (excludeId ? 1 : 0),
+      filter: this.buildFilter(params.filters)
+    });
+
+    // Without any tagged candidate there is nothing to re-rank toward
+    const tagged = candidates.some(match => (match.metadata.content_angles || []).length > 0);
+    const results = candidates
+      .filter(match => match.id !== excludeId)
+      .map(match => {
+        const angles = match.metadata.content_angles || [];
+        const boosted = !!session && angles.includes(session.content_angle);
+        return {
+          id: match.id,
+          score: boosted ? match.score + CONTENT_ANGLE_BOOST * (1 - match.score) : match.score,
+          similarity: match.score,
+          boosted,
+          metadata: match.metadata
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map((result, index) => ({ rank: index + 1, ...result }));
+
+    let reranking = { applied: false };
+    if (session) {
+      reranking = tagged
+        ? { applied: true, ...session, boost: CONTENT_ANGLE_BOOST }
+        : { applied: false, ...session, reason: 'no_content_angles' };
+    }
+    return { reference, results, reranking };
+  }
+}
+
+module.exports = MagneticaSimilaritySearch;
@@ -0,0 +1,140 @@
+// MAGNETICA VDE PLATFORM - USAGE METER
+// Per-client rate limits and per-tenant monthly quotas for each tier
+
+const { ROUTE_CLASSES, DEFAULT_TIER, resolveTierLimits, tierExceeds } = require('../config/usage-tiers');
+
+// Quota counters outlive their month by a day so late reads still see them
+const QUOTA_TTL_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// UTC calendar month containing `at`
+function billingPeriod(at) {
+  const start = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1));
+  return { id: start.toISOString().slice(0, 7), start, end };
+}
+
+class MagneticaUsageMeter {
+  constructor(store, { rateLimiting = true } = {}) {
+    this.store = store;
+    this.rateLimiting = rateLimiting;
+  }
+
+  // Rate limits follow the API key's tier when it has one, capped at the
+  // tenant's; quotas always follow the tenant's
+  resolveLimits(tenant, identity) {
+    const { tier = DEFAULT_TIER, usage } = tenant.definition;
+    const rateTier = identity.tier && !tierExceeds(identity.tier, tier) ? identity.tier : tier;
+    return {
+      tier,
+      quota: resolveTierLimits(tier, usage),
+      rate: resolveTierLimits(rateTier, usage)
+    };
+  }
+
+  // The platform admin token is not metered; anonymous callers are
+  // limited per IP
+  clientKey(identity, ip) {
+    switch (identity.type) {
+      case 'admin_token': return null;
+      case 'anonymous': return `ip:${ip}`;
+      default: return identity.subject;
+    }
+  }
+
+  rateWindow(tenant, client, routeClass, limit, now) {
+    const index = Math.floor(now / limit.windowMs);
+    return {
+      key: `rate:${tenant.id}:${client}:${routeClass}:${index}`,
+      resetAt: new Date((index + 1) * limit.windowMs)
+    };
+  }
+
+  quotaKey(tenant, routeClass, period) {
+    return `quota:${tenant.id}:${routeClass}:${period.id}`;
+  }
+
+  // Counts one request. Returns { allowed, reason, rate, quota }; rate and
+  // quota are null when not metered for this caller/class.
+  async consume({ tenant, identity, ip, routeClass }) {
+    const now = new Date();
+    const limits = this.resolveLimits(tenant, identity);
+    const client = this.clientKey(identity, ip);
+    let rate = null;
+    let quota = null;
+
+    if (this.rateLimiting && client) {
+      const limit = limits.rate.rateLimits[routeClass];
+      const window = this.rateWindow(tenant, client, routeClass, limit, now.getTime());
+      const count = await this.store.increment(window.key, limit.windowMs);
+      rate = { limit: limit.max, remaining: Math.max(limit.max - count, 0), reset_at: window.resetAt };
+
+      if (count > limit.max) {
+        return { allowed: false, reason: 'rate_limit', rate, quota };
+      }
+    }
+
+    const quotaLimit = limits.quota.monthlyQuota[routeClass];
+    if (client && quotaLimit !== null && quotaLimit !== undefined) {
+      const period = billingPeriod(now);
+      // Increment first and judge the returned count, so concurrent requests
+      // cannot all pass a read of the same value. Rejected requests stay
+      // counted, as with the rate windows; getUsage caps `used` at the quota.
+      const key = this.quotaKey(tenant, routeClass, period);
+      const count = await this.store.increment(key, period.end - now + QUOTA_TTL_GRACE_MS);
+      quota = { limit: quotaLimit, remaining: Math.max(quotaLimit - count, 0), reset_at: period.end };
+
+      if (count > quotaLimit) {
+        return { allowed: false, reason: 'quota', rate, quota };
+      }
+    }
+
+    return { allowed: true, reason: null, rate, quota };
+  }
+
+  // Current standing of the caller's rate windows and the tenant's quotas
+  async getUsage(tenant, identity, ip) {
+    const now = new Date();
+    const period = billingPeriod(now);
+    const limits = this.resolveLimits(tenant, identity);
+    const client = this.clientKey(identity, ip);
+    const routes = {};
+
+    for (const routeClass of ROUTE_CLASSES) {
+      const limit = limits.rate.rateLimits[routeClass];
+      const quotaLimit = limits.quota.monthlyQuota[routeClass];
+      const counted = await this.store.get(this.quotaKey(tenant, routeClass, period));
+      const used = quotaLimit === null ? counted : Math.min(counted, quotaLimit);
+      let rate = null;
+
+      if (this.rateLimiting && client) {
+        const window = this.rateWindow(tenant, client, routeClass, limit, now.getTime());
+        const count = await this.store.get(window.key);
+        rate = {
+          limit: limit.max,
+          window_ms: limit.windowMs,
+          remaining: Math.max(limit.max - count, 0),
+          reset_at: window.resetAt.toISOString()
+        };
+      }
+
+      routes[routeClass] = {
+        rate_limit: rate,
+        quota: {
+          limit: quotaLimit,
+          used,
+          remaining: quotaLimit === null ? null : Math.max(quotaLimit - used, 0)
+        }
+      };
+    }
+
+    return {
+      tenant: tenant.id,
+      tier: limits.quota.name,
+      client_tier: limits.rate.name,
+      period: { id: period.id, start: period.start.toISOString(), end: period.end.toISOString() },
+      routes
+    };
+  }
+}
+
+module.exports = MagneticaUsageMeter;
@@ -0,0 +1,92 @@
+// MAGNETICA VDE PLATFORM - USAGE STORE
+// Expiring counters behind rate limits and quotas, in memory or in Redis
+
+const { EnterpriseLogger } = require('./enterprise-logger');
+
+// How often the in-memory backend drops expired counters
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class InMemoryUsageStore {
+  constructor() {
+    this.backend = 'memory';
+    this.counters = new Map();
+    this.nextSweep = Date.now() + SWEEP_INTERVAL_MS;
+  }
+
+  sweep(now) {
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+    this.nextSweep = now + SWEEP_INTERVAL_MS;
+  }
+
+  // Adds one and returns the new count; ttlMs applies from the first hit
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    if (now >= this.nextSweep) {
+      this.sweep(now);
+    }
+
+    let counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + ttlMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return counter.count;
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+}
+
+// Shared counters for multi-instance deployments. Commands fail fast while
+// Redis is unreachable instead of queueing behind the reconnect loop.
+class RedisUsageStore {
+  constructor(url, logger = new EnterpriseLogger({ context: { component: 'usage-store' } })) {
+    const { createClient } = require('redis');
+
+    this.backend = 'redis';
+    this.logger = logger;
+    this.client = createClient({
+      url,
+      disableOfflineQueue: true,
+      socket: { connectTimeout: 5000, reconnectStrategy: retries => Math.min(retries * 200, 5000) }
+    });
+    this.client.on('error', error => {
+      if (error.message !== this.lastError) {
+        this.logger.warn('Usage store Redis unavailable', { error: error.message });
+      }
+      this.lastError = error.message;
+    });
+    this.client.on('ready', () => {
+      this.lastError = null;
+    });
+    this.client.connect().catch(() => {});
+  }
+
+  async increment(key, ttlMs) {
+    const count = await this.client.incr(key);
+    if (count === 1) {
+      await this.client.pExpire(key, ttlMs);
+    }
+    return count;
+  }
+
+  async get(key) {
+    return Number(await this.client.get(key)) || 0;
+  }
+}
+
+function createUsageStore(logger) {
+  if (process.env.REDIS_URL) {
+    return new RedisUsageStore(process.env.REDIS_URL, logger);
+  }
+  return new InMemoryUsageStore();
+}
+
+module.exports = { InMemoryUsageStore, RedisUsageStore, createUsageStore };
@@ -0,0 +1,344 @@
+// MAGNETICA VDE PLATFORM - VECTOR STORE
+// One namespace per tenant. Pinecone REST backend, or an in-process cosine
+// similarity backend for demo mode and local runs.
+//
+// Shared interface (all async):
+//   upsert(tenantId, [{ id, values, metadata }]) -> { upserted }
+//   query(tenantId, { vector, topK, filter, includeValues }) -> [{ id, score, metadata, values? }]
+//   fetch(tenantId, ids) -> [{ id, values, metadata }] (unknown ids omitted)
+//   delete(tenantId, { ids } | { filter } | { deleteAll: true }) -> { deleted }
+//   listIds(tenantId) -> [id]
+//   describe() -> { backend, ready, dimension, vector_count, namespace_count, namespaces }
+
+const BACKENDS = ['pinecone', 'memory'];
+const MAX_TOP_K = 100;
+// 3072-dim vectors are ~60KB of JSON each; Pinecone caps requests at 2MB
+const PINECONE_UPSERT_BATCH = 25;
+const PINECONE_LIST_LIMIT = 100;
+const PINECONE_API_VERSION = '2024-07';
+const PINECONE_TIMEOUT_MS = 15000;
+const STATS_TTL_MS = 10000;
+
+function vectorStoreError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Pinecone metadata filter subset: implicit $eq, $eq/$ne/$gt/$gte/$lt/$lte,
+// $in/$nin, $and/$or
+const FILTER_OPERATORS = {
+  $eq: (value, operand) => value === operand || (Array.isArray(value) && value.includes(operand)),
+  $ne: (value, operand) => value !== operand && !(Array.isArray(value) && value.includes(operand)),
+  $gt: (value, operand) => typeof value === 'number' && value > operand,
+  $gte: (value, operand) => typeof value === 'number' && value >= operand,
+  $lt: (value, operand) => typeof value === 'number' && value < operand,
+  $lte: (value, operand) => typeof value === 'number' && value <= operand,
+  $in: (value, operand) => operand.some(item => FILTER_OPERATORS.$eq(value, item)),
+  $nin: (value, operand) => !operand.some(item => FILTER_OPERATORS.$eq(value, item))
+};
+
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matchesFilter(metadata, part));
+    if (key === '$or') return condition.some(part => matchesFilter(metadata, part));
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return FILTER_OPERATORS.$eq(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      const test = FILTER_OPERATORS[operator];
+      if (!test) throw vectorStoreError(`Unsupported filter operator '${operator}'`);
+      return value !== undefined && test(value, operand);
+    });
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class InMemoryVectorStore {
+  constructor(dimension) {
+    this.backend = 'memory';
+    this.dimension = dimension;
+    this.namespaces = new Map();
+  }
+
+  checkVector(values) {
+    if (!Array.isArray(values) && !ArrayBuffer.isView(values)) {
+      throw vectorStoreError('Vector values must be an array');
+    }
+    if (values.length !== this.dimension) {
+      throw vectorStoreError(`Vector has ${values.length} dimensions, index expects ${this.dimension}`);
+    }
+  }
+
+  namespace(tenantId) {
+    let vectors = this.namespaces.get(tenantId);
+    if (!vectors) {
+      vectors = new Map();
+      this.namespaces.set(tenantId, vectors);
+    }
+    return vectors;
+  }
+
+  async upsert(tenantId, vectors) {
+    vectors.forEach(vector => this.checkVector(vector.values));
+    const namespace = this.namespace(tenantId);
+    for (const { id, values, metadata } of vectors) {
+      namespace.set(id, { id, values: Float32Array.from(values), metadata: metadata || {} });
+    }
+    return { upserted: vectors.length };
+  }
+
+  async query(tenantId, { vector, topK = 10, filter, includeValues = false }) {
+    this.checkVector(vector);
+    const namespace = this.namespaces.get(tenantId);
+    if (!namespace) return [];
+
+    const matches = [];
+    for (const item of namespace.values()) {
+      if (matchesFilter(item.metadata, filter)) {
+        matches.push({ id: item.id, score: cosineSimilarity(vector, item.values), metadata: item.metadata, item });
+      }
+    }
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.min(topK, MAX_TOP_K))
+      .map(({ item, ...match }) => (includeValues ? { ...match, values: Array.from(item.values) } : match));
+  }
+
+  async fetch(tenantId, ids) {
+    const namespace = this.namespaces.get(tenantId);
+    if (!namespace) return [];
+    return ids
+      .filter(id => namespace.has(id))
+      .map(id => {
+        const { values, metadata } = namespace.get(id);
+        return { id, values: Array.from(values), metadata };
+      });
+  }
+
+  async delete(tenantId, { ids, filter, deleteAll } = {}) {
+    const namespace = this.namespaces.get(tenantId);
+    if (!namespace) return { deleted: 0 };
+
+    if (deleteAll) {
+      const deleted = namespace.size;
+      this.namespaces.delete(tenantId);
+      return { deleted };
+    }
+
+    let deleted = 0;
+    for (const [id, item] of namespace) {
+      const selected = ids ? ids.includes(id) : matchesFilter(item.metadata, filter);
+      if (selected) {
+        namespace.delete(id);
+        deleted++;
+      }
+    }
+    return { deleted };
+  }
+
+  async listIds(tenantId) {
+    const namespace = this.namespaces.get(tenantId);
+    return namespace ? [...namespace.keys()] : [];
+  }
+
+  async describe() {
+    const namespaces = {};
+    let vectorCount = 0;
+    for (const [tenantId, vectors] of this.namespaces) {
+      namespaces[tenantId] = { vector_count: vectors.size };
+      vectorCount += vectors.size;
+    }
+
+    return {
+      backend: this.backend,
+      ready: true,
+      dimension: this.dimension,
+      vector_count: vectorCount,
+      namespace_count: Object.keys(namespaces).length,
+      namespaces
+    };
+  }
+}
+
+// Pinecone serverless REST API. The data-plane host comes from
+// PINECONE_INDEX_HOST or is looked up once via the control plane.
+class PineconeVectorStore {
+  constructor(apiKeysManager, dimension) {
+    this.backend = 'pinecone';
+    this.apiKeysManager = apiKeysManager;
+    this.dimension = dimension;
+    this.host = process.env.PINECONE_INDEX_HOST || null;
+    this.stats = null;
+  }
+
+  async request(baseUrl, pathname, { method = 'GET', body } = {}) {
+    const { apiKey } = this.apiKeysManager.getPineconeConfig();
+    if (this.apiKeysManager.isPlaceholder(apiKey)) {
+      throw vectorStoreError('PINECONE_API_KEY non configurata', 503);
+    }
+
+    const url = `${baseUrl.replace(/\/+$/, '')}${pathname}`;
+    let response;
+    try {
+      response = await this.apiKeysManager.withSecretFallback('PINECONE_API_KEY', key => fetch(url, {
+        method,
+        headers: {
+          'Api-Key': key,
+          'Content-Type': 'application/json',
+          'X-Pinecone-API-Version': PINECONE_API_VERSION
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(PINECONE_TIMEOUT_MS)
+      }));
+    } catch (error) {
+      throw vectorStoreError(`Pinecone non raggiungibile: ${(error.cause && error.cause.code) || error.message}`, 503);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw vectorStoreError(`Pinecone HTTP ${response.status}: ${payload.message || (payload.error && payload.error.message) || 'errore'}`, 502);
+    }
+    return payload;
+  }
+
+  async indexHost() {
+    if (!this.host) {
+      const { indexName, baseUrl } = this.apiKeysManager.getPineconeConfig();
+      const index = await this.request(baseUrl, `/indexes/${encodeURIComponent(indexName)}`);
+      this.host = index.host.startsWith('http') ? index.host : `https://${index.host}`;
+    }
+    return this.host;
+  }
+
+  async dataPlane(pathname, body) {
+    return this.request(await this.indexHost(), pathname, { method: 'POST', body });
+  }
+
+  async upsert(tenantId, vectors) {
+    for (let start = 0; start < vectors.length; start += PINECONE_UPSERT_BATCH) {
+      const batch = vectors.slice(start, start + PINECONE_UPSERT_BATCH).map(({ id, values, metadata }) => {
+        if (values.length !== this.dimension) {
+          throw vectorStoreError(`Vector has ${values.length} dimensions, index expects ${this.dimension}`);
+        }
+        return { id, values: Array.from(values), metadata: metadata || {} };
+      });
+      await this.dataPlane('/vectors/upsert', { namespace: tenantId, vectors: batch });
+    }
+    this.stats = null;
+    return { upserted: vectors.length };
+  }
+
+  async query(tenantId, { vector, topK = 10, filter, includeValues = false }) {
+    const result = await this.dataPlane('/query', {
+      namespace: tenantId,
+      vector: Array.from(vector),
+      topK: Math.min(topK, MAX_TOP_K),
+      filter: filter || undefined,
+      includeMetadata: true,
+      includeValues
+    });
+    return (result.matches || []).map(({ id, score, metadata, values }) =>
+      (includeValues ? { id, score, metadata: metadata || {}, values } : { id, score, metadata: metadata || {} }));
+  }
+
+  async fetch(tenantId, ids) {
+    const query = new URLSearchParams({ namespace: tenantId });
+    ids.forEach(id => query.append('ids', id));
+    const result = await this.request(await this.indexHost(), `/vectors/fetch?${query}`);
+    return Object.values(result.vectors || {}).map(({ id, values, metadata }) => ({ id, values, metadata: metadata || {} }));
+  }
+
+  // Pinecone does not report how many vectors a delete removed
+  async delete(tenantId, { ids, filter, deleteAll } = {}) {
+    await this.dataPlane('/vectors/delete', deleteAll
+      ? { namespace: tenantId, deleteAll: true }
+      : ids ? { namespace: tenantId, ids } : { namespace: tenantId, filter });
+    this.stats = null;
+    return { deleted: null };
+  }
+
+  // Paginated GET /vectors/list (serverless indexes)
+  async listIds(tenantId) {
+    const host = await this.indexHost();
+    const ids = [];
+    let paginationToken = null;
+    do {
+      const query = new URLSearchParams({ namespace: tenantId, limit: String(PINECONE_LIST_LIMIT) });
+      if (paginationToken) query.set('paginationToken', paginationToken);
+      const page = await this.request(host, `/vectors/list?${query}`);
+      ids.push(...(page.vectors || []).map(vector => vector.id));
+      paginationToken = page.pagination && page.pagination.next;
+    } while (paginationToken);
+    return ids;
+  }
+
+  // Index stats are cached briefly: /health calls this on every probe
+  async describe() {
+    if (this.stats && this.stats.expiresAt > Date.now()) {
+      return this.stats.value;
+    }
+
+    let value;
+    try {
+      const stats = await this.dataPlane('/describe_index_stats', {});
+      const namespaces = {};
+      for (const [name, info] of Object.entries(stats.namespaces || {})) {
+        namespaces[name] = { vector_count: info.vectorCount };
+      }
+      value = {
+        backend: this.backend,
+        ready: true,
+        dimension: stats.dimension,
+        vector_count: stats.totalVectorCount,
+        namespace_count: Object.keys(namespaces).length,
+        namespaces
+      };
+      if (stats.dimension && stats.dimension !== this.dimension) {
+        value.ready = false;
+        value.error = `Index has ${stats.dimension} dimensions, PINECONE_DIMENSIONS is ${this.dimension}`;
+      }
+    } catch (error) {
+      value = { backend: this.backend, ready: false, dimension: this.dimension, vector_count: null, error: error.message };
+    }
+
+    this.stats = { value, expiresAt: Date.now() + STATS_TTL_MS };
+    return value;
+  }
+}
+
+// VECTOR_STORE wins; otherwise Pinecone when a key is configured, memory
+// in demo mode
+function createVectorStore(apiKeysManager) {
+  const dimension = apiKeysManager.getOpenAIConfig().embeddingDimensions;
+  let backend = process.env.VECTOR_STORE;
+
+  if (!backend) {
+    const { apiKey } = apiKeysManager.getPineconeConfig();
+    backend = apiKeysManager.isPlaceholder(apiKey) && process.env.ENABLE_DEMO_MODE === 'true' ? 'memory' : 'pinecone';
+  }
+  if (backend === 'pinecone') {
+    return new PineconeVectorStore(apiKeysManager, dimension);
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown VECTOR_STORE backend '${backend}' (expected ${BACKENDS.join(' or ')})`);
+  }
+  return new InMemoryVectorStore(dimension);
+}
+
+module.exports = { InMemoryVectorStore, PineconeVectorStore, createVectorStore, matchesFilter };
@@ -0,0 +1,115 @@
+// MAGNETICA VDE PLATFORM - VISION JOB STORE
+// Image analysis jobs, with in-memory and file backends. Jobs are mutable
+// (per-image status changes batch by batch), so the file backend keeps one
+// JSON document per job instead of an append-only log.
+
+const fs = require('fs');
+const path = require('path');
+const { EnterpriseLogger } = require('./enterprise-logger');
+
+// Finished jobs kept per tenant; older ones are dropped (and their files deleted)
+const MAX_JOBS_PER_TENANT = 200;
+const FINISHED_STATUSES = ['completed', 'completed_with_errors', 'cancelled', 'failed'];
+
+class InMemoryVisionJobStore {
+  constructor() {
+    this.backend = 'memory';
+    this.jobs = new Map();
+  }
+
+  // Returns the live job object: the queue mutates it and saves it back
+  async get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Newest first; every tenant when tenantId is omitted
+  async list(tenantId) {
+    return [...this.jobs.values()]
+      .filter(job => !tenantId || job.tenant_id === tenantId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async save(job) {
+    job.updated_at = new Date().toISOString();
+    this.jobs.set(job.id, job);
+    await this.prune(job.tenant_id, job.id);
+    return job;
+  }
+
+  async remove(jobId) {
+    this.jobs.delete(jobId);
+  }
+
+  async prune(tenantId, keepId) {
+    const finished = (await this.list(tenantId))
+      .filter(job => job.id !== keepId && FINISHED_STATUSES.includes(job.status));
+    for (const job of finished.slice(MAX_JOBS_PER_TENANT)) {
+      await this.remove(job.id);
+    }
+  }
+}
+
+// One <jobId>.json per job in VISION_JOBS_DIR, loaded on boot so queued and
+// interrupted jobs survive a restart
+class FileVisionJobStore extends InMemoryVisionJobStore {
+  constructor(directory, logger = new EnterpriseLogger({ context: { component: 'vision-job-store' } })) {
+    super();
+    this.backend = 'file';
+    this.directory = directory;
+    this.logger = logger;
+    this.writes = new Map();
+    fs.mkdirSync(directory, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        this.logger.warn('Invalid vision job file skipped', { directory: this.directory, file, error: error.message });
+      }
+    }
+  }
+
+  jobPath(jobId) {
+    return path.join(this.directory, `${jobId}.json`);
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves half a
+  // job. Writes of the same job are chained so they cannot interleave.
+  async save(job) {
+    await super.save(job);
+    const filePath = this.jobPath(job.id);
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(job));
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    });
+    this.writes.set(job.id, write);
+    await write;
+    if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+    return job;
+  }
+
+  async remove(jobId) {
+    await super.remove(jobId);
+    await fs.promises.rm(this.jobPath(jobId), { force: true });
+  }
+}
+
+function createVisionJobStore(logger) {
+  const backend = process.env.VISION_JOB_STORE || 'memory';
+
+  if (backend === 'file') {
+    return new FileVisionJobStore(process.env.VISION_JOBS_DIR || path.join(process.cwd(), 'data', 'vision', 'jobs'), logger);
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown VISION_JOB_STORE backend '${backend}' (expected memory or file)`);
+  }
+  return new InMemoryVisionJobStore();
+}
+
+module.exports = { InMemoryVisionJobStore, FileVisionJobStore, createVisionJobStore, FINISHED_STATUSES };
@@ -0,0 +1,178 @@
+// MAGNETICA VDE PLATFORM - VISION PROVIDERS
+// Style, material and room attributes of product images. OpenAI chat
+// completions with image inputs, or a deterministic local stub for
+// offline/demo runs.
+//
+// Provider interface:
+//   name, model
+//   analyze(imageUrls) -> { results: [{ attributes } | { error }], usage: { input_tokens, output_tokens } }
+//   with results in input order; throws when the whole batch fails
+
+const { createRng } = require('./demo-signal-generator');
+
+const PROVIDERS = ['openai', 'stub'];
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Closed vocabularies: provider output outside them is dropped
+const VisionAttributes = {
+  styles: ['contemporary', 'minimalist', 'mid_century', 'classic_italian', 'industrial', 'art_deco', 'scandinavian', 'organic'],
+  materials: ['wood', 'marble', 'stone', 'metal', 'glass', 'leather', 'fabric', 'ceramic', 'rattan'],
+  rooms: ['living_room', 'dining_room', 'bedroom', 'office', 'kitchen', 'bathroom', 'outdoor', 'hospitality']
+};
+
+function visionError(message, status = 502) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Raw provider answer -> { style, materials, room, confidence } within the vocabularies
+function normaliseAttributes(raw) {
+  const term = value => String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const materials = (Array.isArray(raw.materials) ? raw.materials : [raw.materials])
+    .map(term)
+    .filter(material => VisionAttributes.materials.includes(material));
+  const confidence = Number(raw.confidence);
+
+  return {
+    style: VisionAttributes.styles.includes(term(raw.style)) ? term(raw.style) : null,
+    materials: [...new Set(materials)],
+    room: VisionAttributes.rooms.includes(term(raw.room)) ? term(raw.room) : null,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null
+  };
+}
+
+class StubVisionProvider {
+  constructor() {
+    this.name = 'stub';
+    this.model = 'stub';
+  }
+
+  // Vocabulary words in the URL win ("walnut-marble-table.jpg" -> marble),
+  // the rest is drawn from a generator seeded by the URL
+  async analyze(imageUrls) {
+    const results = imageUrls.map(url => {
+      const rng = createRng(`vision:${url}`);
+      const text = url.toLowerCase().replace(/[^a-z]+/g, '_');
+      const pick = list => list.find(item => text.includes(item)) || list[Math.floor(rng() * list.length)];
+      const mentioned = VisionAttributes.materials.filter(material => text.includes(material));
+
+      return {
+        attributes: {
+          style: pick(VisionAttributes.styles),
+          materials: mentioned.length > 0 ? mentioned : [pick(VisionAttributes.materials)],
+          room: pick(VisionAttributes.rooms),
+          confidence: Math.round((0.6 + rng() * 0.35) * 100) / 100
+        }
+      };
+    });
+
+    return { results, usage: { input_tokens: 0, output_tokens: 0 } };
+  }
+}
+
+// One chat completion per batch, all images in a single user message
+class OpenAIVisionProvider {
+  constructor(apiKeysManager) {
+    this.name = 'openai';
+    this.apiKeysManager = apiKeysManager;
+    this.model = apiKeysManager.getOpenAIConfig().model;
+  }
+
+  buildPrompt(count) {
+    return [
+      `You are a furniture and interior design analyst. For each of the ${count} images, in order, describe the product shown.`,
+      `Answer with JSON only: {"images": [{"style": ..., "materials": [...], "room": ..., "confidence": 0-1}]}.`,
+      `style is one of ${VisionAttributes.styles.join(', ')}.`,
+      `materials are any of ${VisionAttributes.materials.join(', ')}.`,
+      `room is one of ${VisionAttributes.rooms.join(', ')}.`
+    ].join('\n');
+  }
+
+  async analyze(imageUrls) {
+    const { apiKey, organization, baseUrl, maxTokens } = this.apiKeysManager.getOpenAIConfig();
+    if (this.apiKeysManager.isPlaceholder(apiKey)) {
+      throw visionError('OPENAI_API_KEY non configurata', 503);
+    }
+
+    const buildHeaders = key => {
+      const headers = { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' };
+      if (organization && !this.apiKeysManager.isPlaceholder(organization)) {
+        headers['OpenAI-Organization'] = organization;
+      }
+      return headers;
+    };
+
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    let response;
+    try {
+      response = await this.apiKeysManager.withSecretFallback('OPENAI_API_KEY', key => fetch(url, {
+        method: 'POST',
+        headers: buildHeaders(key),
+        body: JSON.stringify({
+          model: this.model,
+          max_tokens: maxTokens,
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: this.buildPrompt(imageUrls.length) },
+              ...imageUrls.map(url => ({ type: 'image_url', image_url: { url, detail: 'low' } }))
+            ]
+          }]
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      }));
+    } catch (error) {
+      throw visionError(`Connessione a OpenAI fallita: ${(error.cause && error.cause.code) || error.message}`);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const message = body && body.error && body.error.message;
+      throw visionError(`OpenAI vision HTTP ${response.status}${message ? `: ${message}` : ''}`,
+        response.status === 401 || response.status === 403 ? 503 : 502);
+    }
+
+    const usage = {
+      input_tokens: (body.usage && body.usage.prompt_tokens) || 0,
+      output_tokens: (body.usage && body.usage.completion_tokens) || 0
+    };
+    const content = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+    let images;
+    try {
+      // Vision models may wrap the JSON in a markdown fence
+      images = JSON.parse(String(content).replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '')).images;
+    } catch (error) {
+      images = null;
+    }
+    if (!Array.isArray(images)) {
+      // Tokens were spent: report them with per-image errors instead of throwing
+      return { results: imageUrls.map(() => ({ error: 'Risposta OpenAI vision non valida' })), usage };
+    }
+
+    const results = imageUrls.map((url, index) => (images[index] && typeof images[index] === 'object'
+      ? { attributes: normaliseAttributes(images[index]) }
+      : { error: 'No analysis returned for this image' }));
+    return { results, usage };
+  }
+}
+
+// VISION_PROVIDER wins; otherwise OpenAI when a key is configured, the stub
+// in demo mode
+function createVisionProvider(apiKeysManager) {
+  let provider = process.env.VISION_PROVIDER;
+
+  if (!provider) {
+    const { apiKey } = apiKeysManager.getOpenAIConfig();
+    provider = apiKeysManager.isPlaceholder(apiKey) && process.env.ENABLE_DEMO_MODE === 'true' ? 'stub' : 'openai';
+  }
+  if (provider === 'openai') {
+    return new OpenAIVisionProvider(apiKeysManager);
+  }
+  if (provider !== 'stub') {
+    throw new Error(`Unknown VISION_PROVIDER '${provider}' (expected ${PROVIDERS.join(' or ')})`);
+  }
+  return new StubVisionProvider();
+}
+
+module.exports = { VisionAttributes, StubVisionProvider, OpenAIVisionProvider, createVisionProvider, normaliseAttributes };
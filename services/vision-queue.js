@@ -0,0 +1,282 @@
+// MAGNETICA VDE PLATFORM - VISION JOB QUEUE
+// Asynchronous image analysis. A job's images are split into batches of
+// MAX_IMAGES_PER_BATCH and sent to the vision provider one batch at a time;
+// jobs run one after the other, are saved after every batch and can be
+// cancelled, or resumed after a cancel, a budget pause or a restart.
+
+const crypto = require('crypto');
+const { priceCall } = require('../config/model-prices');
+
+// queued -> running -> completed | completed_with_errors | paused (cost
+// budget) | cancelled | failed; paused, cancelled, failed and
+// completed_with_errors jobs can be resumed
+const RESUMABLE_STATUSES = ['paused', 'cancelled', 'failed', 'completed_with_errors'];
+const CANCELLABLE_STATUSES = ['queued', 'running', 'paused'];
+
+function jobError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class MagneticaVisionQueue {
+  constructor({ store, provider, costLedger, tenantRegistry, apiKeysManager, logger }) {
+    this.store = store;
+    this.provider = provider;
+    this.costLedger = costLedger;
+    this.tenantRegistry = tenantRegistry;
+    this.apiKeysManager = apiKeysManager;
+    this.logger = logger;
+    this.pending = [];
+    this.draining = false;
+    this.activeJobId = null;
+  }
+
+  // Re-queues jobs a previous process left queued or running
+  async start() {
+    const jobs = (await this.store.list()).reverse();
+    for (const job of jobs.filter(candidate => ['queued', 'running'].includes(candidate.status))) {
+      job.status = 'queued';
+      await this.store.save(job);
+      this.pending.push(job.id);
+    }
+    if (this.pending.length > 0) {
+      this.logger.info(`🖼️ ${this.pending.length} vision job(s) resumed`);
+      this.drain();
+    }
+  }
+
+  // ===== JOBS =====
+
+  async createJob(tenant, { images, label }) {
+    const batchSize = this.apiKeysManager.getCostLimits().maxImagesPerBatch;
+    const now = new Date().toISOString();
+    const job = {
+      id: `vis_${crypto.randomBytes(6).toString('hex')}`,
+      tenant_id: tenant.id,
+      label: label || null,
+      status: 'queued',
+      provider: this.provider.name,
+      model: this.provider.model,
+      batch_size: batchSize,
+      batch_count: Math.ceil(images.length / batchSize),
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      error: null,
+      cost: { usd: 0, input_tokens: 0, output_tokens: 0, images: 0 },
+      images: images.map((url, index) => ({
+        url,
+        batch: Math.floor(index / batchSize),
+        status: 'pending',
+        attributes: null,
+        error: null,
+        cost_usd: 0,
+        attempts: 0,
+        analysed_at: null
+      }))
+    };
+
+    await this.store.save(job);
+    this.enqueue(job);
+    return job;
+  }
+
+  async getJob(tenantId, jobId) {
+    const job = await this.store.get(jobId);
+    return job && job.tenant_id === tenantId ? job : null;
+  }
+
+  async listJobs(tenantId) {
+    return (await this.store.list(tenantId)).map(job => this.summarise(job));
+  }
+
+  // Job without the per-image list, with image counts by status
+  summarise({ images, ...job }) {
+    const counts = { pending: 0, analysed: 0, failed: 0, cancelled: 0 };
+    images.forEach(image => { counts[image.status]++; });
+    return { ...job, image_count: images.length, counts };
+  }
+
+  async requireJob(tenantId, jobId) {
+    const job = await this.getJob(tenantId, jobId);
+    if (!job) {
+      throw jobError(`Vision job '${jobId}' not found`, 404);
+    }
+    return job;
+  }
+
+  // A running job stops after its current batch
+  async cancel(tenantId, jobId) {
+    const job = await this.requireJob(tenantId, jobId);
+    if (!CANCELLABLE_STATUSES.includes(job.status)) {
+      throw jobError(`Vision job '${jobId}' is ${job.status} and cannot be cancelled`, 409);
+    }
+
+    const running = job.status === 'running';
+    job.status = 'cancelled';
+    if (!running) {
+      this.pending = this.pending.filter(id => id !== job.id);
+      this.finish(job);
+    }
+    await this.store.save(job);
+    return job;
+  }
+
+  // Failed and cancelled images go back to pending; analysed ones are kept
+  async resume(tenantId, jobId) {
+    const job = await this.requireJob(tenantId, jobId);
+    if (job.id === this.activeJobId) {
+      throw jobError(`Vision job '${jobId}' is still finishing its current batch`, 409);
+    }
+    if (!RESUMABLE_STATUSES.includes(job.status)) {
+      throw jobError(`Vision job '${jobId}' is ${job.status} and cannot be resumed`, 409);
+    }
+
+    const retried = job.images.filter(image => image.status !== 'analysed');
+    if (retried.length === 0) {
+      throw jobError(`Vision job '${jobId}' has no images left to analyse`, 409);
+    }
+    retried.forEach(image => {
+      image.status = 'pending';
+      image.error = null;
+    });
+    job.status = 'queued';
+    job.error = null;
+    job.finished_at = null;
+
+    await this.store.save(job);
+    this.enqueue(job);
+    return job;
+  }
+
+  // ===== WORKER =====
+
+  enqueue(job) {
+    this.pending.push(job.id);
+    setImmediate(() => this.drain());
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+    try {
+      while (this.pending.length > 0) {
+        const jobId = this.pending.shift();
+        this.activeJobId = jobId;
+        try {
+          await this.runJob(jobId);
+        } catch (error) {
+          this.logger.error('Vision job crashed', { job: jobId, error: error.message });
+        }
+        this.activeJobId = null;
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async runJob(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job || job.status !== 'queued') return;
+
+    const tenant = this.tenantRegistry.getTenant(job.tenant_id);
+    if (!tenant) {
+      job.status = 'failed';
+      job.error = `Unknown tenant '${job.tenant_id}'`;
+      this.finish(job);
+      await this.store.save(job);
+      return;
+    }
+
+    job.status = 'running';
+    job.started_at = job.started_at || new Date().toISOString();
+    // A job resumed after a restart runs on the provider configured now
+    job.provider = this.provider.name;
+    job.model = this.provider.model;
+    await this.store.save(job);
+
+    for (let batch = 0; batch < job.batch_count; batch++) {
+      if (job.status === 'cancelled') break;
+
+      const images = job.images.filter(image => image.batch === batch && image.status === 'pending');
+      if (images.length === 0) continue;
+
+      // Checked per batch: a long job can cross the daily limit midway
+      const budget = this.costLedger.checkBudget(tenant);
+      if (budget.state !== 'ok' && this.provider.name !== 'stub') {
+        job.status = 'paused';
+        job.error = `Cost budget ${budget.state} (${budget.reason}); resume the job once the budget allows`;
+        await this.store.save(job);
+        this.logger.warn('Vision job paused by cost budget', { job: job.id, tenant: tenant.id, reason: budget.reason });
+        return;
+      }
+
+      await this.analyseBatch(job, images);
+      await this.store.save(job);
+    }
+
+    if (job.status !== 'cancelled') {
+      job.status = job.images.some(image => image.status === 'failed') ? 'completed_with_errors' : 'completed';
+    }
+    this.finish(job);
+    await this.store.save(job);
+    this.logger.info('🖼️ Vision job finished', { job: job.id, tenant: tenant.id, status: job.status, cost_usd: job.cost.usd });
+  }
+
+  async analyseBatch(job, images) {
+    const analysedAt = new Date().toISOString();
+    images.forEach(image => { image.attempts++; });
+
+    let outcome;
+    try {
+      outcome = await this.provider.analyze(images.map(image => image.url));
+    } catch (error) {
+      images.forEach(image => {
+        image.status = 'failed';
+        image.error = error.message;
+      });
+      return;
+    }
+
+    const call = {
+      operation: 'vision_analysis',
+      model: this.provider.model,
+      input_tokens: outcome.usage.input_tokens,
+      output_tokens: outcome.usage.output_tokens,
+      images: images.length,
+      metadata: { job_id: job.id, provider: this.provider.name }
+    };
+    const batchCost = priceCall(call);
+    await this.costLedger.record(job.tenant_id, call);
+
+    job.cost.usd = Math.round((job.cost.usd + batchCost) * 1e6) / 1e6;
+    job.cost.input_tokens += call.input_tokens;
+    job.cost.output_tokens += call.output_tokens;
+    job.cost.images += images.length;
+
+    images.forEach((image, index) => {
+      const result = outcome.results[index] || { error: 'No analysis returned for this image' };
+      // Tokens are shared by the batch: split evenly across its images
+      image.cost_usd = Math.round((image.cost_usd + batchCost / images.length) * 1e6) / 1e6;
+      image.analysed_at = analysedAt;
+      if (result.error) {
+        image.status = 'failed';
+        image.error = result.error;
+      } else {
+        image.status = 'analysed';
+        image.attributes = result.attributes;
+      }
+    });
+  }
+
+  // Images still pending when a job stops for good are marked cancelled
+  finish(job) {
+    if (job.status === 'cancelled') {
+      job.images.filter(image => image.status === 'pending').forEach(image => { image.status = 'cancelled'; });
+    }
+    job.finished_at = new Date().toISOString();
+  }
+}
+
+module.exports = MagneticaVisionQueue;
@@ -0,0 +1,391 @@
+// MAGNETICA VDE PLATFORM - WEBHOOK DISPATCHER
+// Outbound event notifications. Each event becomes one delivery per matching
+// subscription, POSTed as JSON and signed with the subscription's secret:
+//
+//   X-Magnetica-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Failed attempts are retried with exponential backoff; a delivery that runs
+// out of attempts, or is refused with a non-retryable status, is dead-lettered
+// and can be redelivered by hand.
+//
+// Destinations must resolve to public addresses, checked on subscription
+// and again before every attempt, so tenant admins cannot use deliveries to
+// reach internal services. Hosts in allowPrivateHosts
+// (WEBHOOK_ALLOW_PRIVATE_URLS) are exempt, for local test receivers.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const EVENTS = ['lead.hot', 'segment.changed', 'rule.triggered'];
+// Sent only by POST /webhooks/:webhookId/test
+const TEST_EVENT = 'webhook.test';
+const MAX_SUBSCRIPTIONS_PER_TENANT = 20;
+// Attempt log entries kept per delivery, across redeliveries
+const MAX_ATTEMPT_LOG = 50;
+const USER_AGENT = 'Magnetica-Webhooks/1.0';
+
+const DEFAULTS = {
+  maxAttempts: 8,
+  backoffMs: 30 * 1000,
+  maxBackoffMs: 60 * 60 * 1000,
+  timeoutMs: 5000,
+  allowPrivateHosts: []
+};
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and
+// multicast ranges; IPv4-mapped IPv6 addresses are checked as IPv4
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function webhookError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Timeouts, throttling and server errors are worth another try; other
+// refusals (400, 401, 404, 410...) will not change on their own
+function isRetryable(statusCode) {
+  return statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Subscription as returned by the API: the secret is only shown on creation
+function publicSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+class MagneticaWebhookDispatcher {
+  constructor({ store, logger, options = {} }) {
+    this.store = store;
+    this.logger = logger;
+    this.options = { ...DEFAULTS };
+    for (const [name, value] of Object.entries(options)) {
+      if (value !== undefined) this.options[name] = value;
+    }
+    this.timers = new Map();
+    this.listeners = [];
+  }
+
+  // listener({ tenant_id, event, outcome: delivered | retry | dead }) runs
+  // after every attempt (e.g. metrics)
+  onAttempt(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Schedules the deliveries a previous process left pending
+  async start() {
+    const pending = (await this.store.listDeliveries()).filter(delivery => delivery.status === 'pending');
+    pending.forEach(delivery => this.schedule(delivery));
+    if (pending.length > 0) {
+      this.logger.info(`📨 ${pending.length} webhook delivery(ies) resumed`);
+    }
+  }
+
+  // ===== DESTINATIONS =====
+
+  // Resolves the URL's host and rejects it (status 400) when any address is
+  // private. Resolution failures are 502: they may be transient.
+  async checkDestination(url) {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.options.allowPrivateHosts.includes(host)) return;
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw webhookError(`Webhook host '${host}' could not be resolved (${error.code || error.message})`, 502);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw webhookError(`Webhook host '${host}' resolves to a private, loopback or link-local address`, 400);
+    }
+  }
+
+  // ===== SUBSCRIPTIONS =====
+
+  async createSubscription(tenantId, { url, events, description }) {
+    const existing = await this.store.listSubscriptions(tenantId);
+    if (existing.length >= MAX_SUBSCRIPTIONS_PER_TENANT) {
+      throw webhookError(`Tenant already has ${MAX_SUBSCRIPTIONS_PER_TENANT} webhook subscriptions`, 409);
+    }
+    await this.checkDestination(url);
+
+    const subscription = {
+      id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+      tenant_id: tenantId,
+      url,
+      events: [...new Set(events)],
+      description: description || null,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      created_at: new Date().toISOString()
+    };
+    return this.store.saveSubscription(subscription);
+  }
+
+  async listSubscriptions(tenantId) {
+    return (await this.store.listSubscriptions(tenantId)).map(publicSubscription);
+  }
+
+  async requireSubscription(tenantId, subscriptionId) {
+    const subscription = await this.store.getSubscription(subscriptionId);
+    if (!subscription || subscription.tenant_id !== tenantId) {
+      throw webhookError(`Webhook '${subscriptionId}' not found`, 404);
+    }
+    return subscription;
+  }
+
+  // Pending deliveries of a deleted subscription are dead-lettered when due
+  async deleteSubscription(tenantId, subscriptionId) {
+    const subscription = await this.requireSubscription(tenantId, subscriptionId);
+    await this.store.removeSubscription(subscription.id);
+    return publicSubscription(subscription);
+  }
+
+  // ===== EVENTS =====
+
+  // One delivery per subscription of the tenant listening to `type`.
+  // Never throws: a notification problem must not fail the caller.
+  async emit(tenantId, type, data) {
+    try {
+      const subscriptions = (await this.store.listSubscriptions(tenantId))
+        .filter(subscription => subscription.events.includes(type));
+      return await this.enqueue(tenantId, type, data, subscriptions);
+    } catch (error) {
+      this.logger.error('Webhook event could not be queued', { tenant: tenantId, event: type, error: error.message });
+      return [];
+    }
+  }
+
+  async sendTest(tenantId, subscriptionId) {
+    const subscription = await this.requireSubscription(tenantId, subscriptionId);
+    const [delivery] = await this.enqueue(tenantId, TEST_EVENT, { webhook_id: subscription.id }, [subscription]);
+    return delivery;
+  }
+
+  async enqueue(tenantId, type, data, subscriptions) {
+    if (subscriptions.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const event = {
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      created_at: now,
+      tenant_id: tenantId,
+      data
+    };
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      const delivery = {
+        id: `whd_${crypto.randomBytes(6).toString('hex')}`,
+        tenant_id: tenantId,
+        webhook_id: subscription.id,
+        url: subscription.url,
+        event,
+        status: 'pending',
+        attempt_count: 0,
+        next_attempt_at: now,
+        created_at: now,
+        delivered_at: null,
+        dead_at: null,
+        error: null,
+        attempts: []
+      };
+      await this.store.saveDelivery(delivery);
+      this.schedule(delivery);
+      deliveries.push(delivery);
+    }
+    return deliveries;
+  }
+
+  // ===== DELIVERY LOG =====
+
+  // Newest first; filters: status, webhook_id, event, limit
+  async listDeliveries(tenantId, { status, webhook_id: webhookId, event, limit = 100 } = {}) {
+    return (await this.store.listDeliveries(tenantId))
+      .filter(delivery => (!status || delivery.status === status)
+        && (!webhookId || delivery.webhook_id === webhookId)
+        && (!event || delivery.event.type === event))
+      .slice(0, limit);
+  }
+
+  async requireDelivery(tenantId, deliveryId) {
+    const delivery = await this.store.getDelivery(deliveryId);
+    if (!delivery || delivery.tenant_id !== tenantId) {
+      throw webhookError(`Webhook delivery '${deliveryId}' not found`, 404);
+    }
+    return delivery;
+  }
+
+  // Requeues a finished delivery with a fresh set of attempts. The event
+  // (and its id, for receivers that deduplicate) is unchanged.
+  async redeliver(tenantId, deliveryId) {
+    const delivery = await this.requireDelivery(tenantId, deliveryId);
+    if (delivery.status === 'pending') {
+      throw webhookError(`Webhook delivery '${deliveryId}' is still pending`, 409);
+    }
+
+    const subscription = await this.store.getSubscription(delivery.webhook_id);
+    if (!subscription) {
+      throw webhookError(`Webhook '${delivery.webhook_id}' has been deleted`, 409);
+    }
+
+    Object.assign(delivery, {
+      status: 'pending',
+      url: subscription.url,
+      attempt_count: 0,
+      next_attempt_at: new Date().toISOString(),
+      delivered_at: null,
+      dead_at: null,
+      error: null
+    });
+    await this.store.saveDelivery(delivery);
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  // ===== WORKER =====
+
+  schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    const delay = Math.max(new Date(delivery.next_attempt_at).getTime() - Date.now(), 0);
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch(error => {
+        this.logger.error('Webhook delivery crashed', { delivery: delivery.id, error: error.message });
+      });
+    }, delay);
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  // min(backoffMs * 2^(n-1), maxBackoffMs), with ±20% jitter so retries
+  // after an outage do not arrive all at once
+  backoff(attemptCount) {
+    const base = Math.min(this.options.backoffMs * 2 ** (attemptCount - 1), this.options.maxBackoffMs);
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+  }
+
+  async attempt(deliveryId) {
+    const delivery = await this.store.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const subscription = await this.store.getSubscription(delivery.webhook_id);
+    if (!subscription) {
+      return this.deadLetter(delivery, 'Subscription deleted');
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    const attempt = { at: new Date().toISOString(), status_code: null, duration_ms: 0, error: null };
+    delivery.attempt_count++;
+    let blocked = false;
+
+    try {
+      // Re-checked every time: DNS may have changed since the subscription
+      await this.checkDestination(subscription.url);
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Magnetica-Event': delivery.event.type,
+          'X-Magnetica-Delivery': delivery.id,
+          'X-Magnetica-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+      attempt.status_code = response.status;
+      // Response bodies are never read or stored: the log is not a proxy
+      if (response.body) await response.body.cancel().catch(() => {});
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      // A destination that now resolves to a private address is not retried
+      blocked = error.status === 400;
+      if (blocked || error.status === 502) {
+        attempt.error = error.message;
+      } else {
+        attempt.error = error.name === 'TimeoutError'
+          ? `Timed out after ${this.options.timeoutMs}ms`
+          : (error.cause && error.cause.code) || error.message;
+      }
+    }
+    attempt.duration_ms = Date.now() - startTime;
+
+    delivery.attempts.push(attempt);
+    delivery.attempts.splice(0, delivery.attempts.length - MAX_ATTEMPT_LOG);
+    delivery.url = subscription.url;
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.delivered_at = attempt.at;
+      delivery.error = null;
+      await this.store.saveDelivery(delivery);
+      return this.notify(delivery, 'delivered');
+    }
+
+    delivery.error = attempt.error;
+    if (blocked) {
+      return this.deadLetter(delivery, attempt.error);
+    }
+    const statusCode = attempt.status_code === null ? undefined : attempt.status_code;
+    if (!isRetryable(statusCode)) {
+      return this.deadLetter(delivery, `${attempt.error} is not retried`);
+    }
+    if (delivery.attempt_count >= this.options.maxAttempts) {
+      return this.deadLetter(delivery, `${attempt.error} after ${delivery.attempt_count} attempts`);
+    }
+
+    delivery.next_attempt_at = new Date(Date.now() + this.backoff(delivery.attempt_count)).toISOString();
+    await this.store.saveDelivery(delivery);
+    this.schedule(delivery);
+    this.notify(delivery, 'retry');
+  }
+
+  async deadLetter(delivery, reason) {
+    delivery.status = 'dead';
+    delivery.dead_at = new Date().toISOString();
+    delivery.error = reason;
+    await this.store.saveDelivery(delivery);
+    this.logger.warn('Webhook delivery dead-lettered', {
+      tenant: delivery.tenant_id,
+      webhook: delivery.webhook_id,
+      delivery: delivery.id,
+      event: delivery.event.type,
+      reason
+    });
+    this.notify(delivery, 'dead');
+  }
+
+  notify(delivery, outcome) {
+    this.listeners.forEach(listener => listener({ tenant_id: delivery.tenant_id, event: delivery.event.type, outcome }));
+  }
+}
+
+MagneticaWebhookDispatcher.EVENTS = EVENTS;
+MagneticaWebhookDispatcher.TEST_EVENT = TEST_EVENT;
+MagneticaWebhookDispatcher.signPayload = signPayload;
+
+module.exports = MagneticaWebhookDispatcher;
@@ -0,0 +1,167 @@
+// MAGNETICA VDE PLATFORM - WEBHOOK STORE
+// Webhook subscriptions and their deliveries, with in-memory and file
+// backends. Subscriptions hold the signing secret in clear (it is needed to
+// sign), so the file backend belongs in a private data directory.
+
+const fs = require('fs');
+const path = require('path');
+const { EnterpriseLogger } = require('./enterprise-logger');
+
+// Delivered and dead deliveries kept per tenant; older ones are dropped
+const MAX_DELIVERIES_PER_TENANT = 1000;
+const FINISHED_STATUSES = ['delivered', 'dead'];
+
+class InMemoryWebhookStore {
+  constructor() {
+    this.backend = 'memory';
+    this.subscriptions = new Map();
+    this.deliveries = new Map();
+  }
+
+  // ===== SUBSCRIPTIONS =====
+
+  async getSubscription(subscriptionId) {
+    return this.subscriptions.get(subscriptionId) || null;
+  }
+
+  // Oldest first; every tenant when tenantId is omitted
+  async listSubscriptions(tenantId) {
+    return [...this.subscriptions.values()]
+      .filter(subscription => !tenantId || subscription.tenant_id === tenantId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async saveSubscription(subscription) {
+    subscription.updated_at = new Date().toISOString();
+    this.subscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  async removeSubscription(subscriptionId) {
+    this.subscriptions.delete(subscriptionId);
+  }
+
+  // ===== DELIVERIES =====
+
+  // Returns the live delivery object: the dispatcher mutates it and saves it back
+  async getDelivery(deliveryId) {
+    return this.deliveries.get(deliveryId) || null;
+  }
+
+  // Newest first; every tenant when tenantId is omitted
+  async listDeliveries(tenantId) {
+    return [...this.deliveries.values()]
+      .filter(delivery => !tenantId || delivery.tenant_id === tenantId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async saveDelivery(delivery) {
+    delivery.updated_at = new Date().toISOString();
+    this.deliveries.set(delivery.id, delivery);
+    await this.prune(delivery.tenant_id, delivery.id);
+    return delivery;
+  }
+
+  async removeDelivery(deliveryId) {
+    this.deliveries.delete(deliveryId);
+  }
+
+  async prune(tenantId, keepId) {
+    const finished = (await this.listDeliveries(tenantId))
+      .filter(delivery => delivery.id !== keepId && FINISHED_STATUSES.includes(delivery.status));
+    for (const delivery of finished.slice(MAX_DELIVERIES_PER_TENANT)) {
+      await this.removeDelivery(delivery.id);
+    }
+  }
+}
+
+// WEBHOOKS_DIR/subscriptions.json plus one deliveries/<id>.json per
+// delivery, loaded on boot so pending retries survive a restart
+class FileWebhookStore extends InMemoryWebhookStore {
+  constructor(directory, logger = new EnterpriseLogger({ context: { component: 'webhook-store' } })) {
+    super();
+    this.backend = 'file';
+    this.directory = directory;
+    this.logger = logger;
+    this.deliveriesDir = path.join(directory, 'deliveries');
+    this.subscriptionsPath = path.join(directory, 'subscriptions.json');
+    this.writes = new Map();
+    fs.mkdirSync(this.deliveriesDir, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (fs.existsSync(this.subscriptionsPath)) {
+      for (const subscription of JSON.parse(fs.readFileSync(this.subscriptionsPath, 'utf8'))) {
+        this.subscriptions.set(subscription.id, subscription);
+      }
+    }
+
+    for (const file of fs.readdirSync(this.deliveriesDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const delivery = JSON.parse(fs.readFileSync(path.join(this.deliveriesDir, file), 'utf8'));
+        this.deliveries.set(delivery.id, delivery);
+      } catch (error) {
+        this.logger.warn('Invalid webhook delivery file skipped', { directory: this.deliveriesDir, file, error: error.message });
+      }
+    }
+  }
+
+  deliveryPath(deliveryId) {
+    return path.join(this.deliveriesDir, `${deliveryId}.json`);
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves half a
+  // document. Writes of the same file are chained so they cannot interleave.
+  async write(filePath, serialise) {
+    const previous = this.writes.get(filePath) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(`${filePath}.tmp`, serialise());
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    });
+    this.writes.set(filePath, write);
+    await write;
+    if (this.writes.get(filePath) === write) this.writes.delete(filePath);
+  }
+
+  async persistSubscriptions() {
+    await this.write(this.subscriptionsPath, () => JSON.stringify([...this.subscriptions.values()], null, 2));
+  }
+
+  async saveSubscription(subscription) {
+    await super.saveSubscription(subscription);
+    await this.persistSubscriptions();
+    return subscription;
+  }
+
+  async removeSubscription(subscriptionId) {
+    await super.removeSubscription(subscriptionId);
+    await this.persistSubscriptions();
+  }
+
+  async saveDelivery(delivery) {
+    await super.saveDelivery(delivery);
+    await this.write(this.deliveryPath(delivery.id), () => JSON.stringify(delivery));
+    return delivery;
+  }
+
+  async removeDelivery(deliveryId) {
+    await super.removeDelivery(deliveryId);
+    await fs.promises.rm(this.deliveryPath(deliveryId), { force: true });
+  }
+}
+
+function createWebhookStore(logger) {
+  const backend = process.env.WEBHOOK_STORE || 'memory';
+
+  if (backend === 'file') {
+    return new FileWebhookStore(process.env.WEBHOOKS_DIR || path.join(process.cwd(), 'data', 'webhooks'), logger);
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown WEBHOOK_STORE backend '${backend}' (expected memory or file)`);
+  }
+  return new InMemoryWebhookStore();
+}
+
+module.exports = { InMemoryWebhookStore, FileWebhookStore, createWebhookStore, FINISHED_STATUSES };
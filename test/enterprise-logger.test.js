@@ -0,0 +1,67 @@
+// MAGNETICA VDE PLATFORM - ENTERPRISE LOGGER TESTS
+// Run with `npm test` (node:test, no extra dependencies)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redact } = require('../services/enterprise-logger');
+
+const REDACTED = '[REDACTED]';
+
+test('redacts snake and kebab case credential keys', () => {
+  const entry = redact({
+    authorization: 'Bearer abc',
+    'x-api-key': 'k1',
+    access_token: 't1',
+    client_secret: 's1',
+    api_key: 'k2',
+    AWS_SECRET_ACCESS_KEY: 's2',
+    session_cookie: 'c1'
+  });
+
+  for (const [key, value] of Object.entries(entry)) {
+    assert.equal(value, REDACTED, key);
+  }
+});
+
+test('redacts camel case credential keys', () => {
+  const entry = redact({
+    accessToken: 't1',
+    clientSecret: 's1',
+    secretAccessKey: 's2',
+    openaiApiKey: 'k1',
+    webhookSignature: 'sig',
+    adminPassword: 'p1'
+  });
+
+  for (const [key, value] of Object.entries(entry)) {
+    assert.equal(value, REDACTED, key);
+  }
+});
+
+test('keeps token counts, booleans and unrelated keys', () => {
+  const entry = redact({
+    input_tokens: 120,
+    outputTokens: 40,
+    total_tokens: 160,
+    hasApiKey: true,
+    keyId: 'key_1',
+    tenant: 'mohd'
+  });
+
+  assert.deepEqual(entry, {
+    input_tokens: 120,
+    outputTokens: 40,
+    total_tokens: 160,
+    hasApiKey: true,
+    keyId: 'key_1',
+    tenant: 'mohd'
+  });
+});
+
+test('redacts credential keys in nested objects', () => {
+  const entry = redact({ provider: { name: 'openai', apiKey: 'k1' }, headers: [{ Authorization: 'x' }] });
+
+  assert.equal(entry.provider.apiKey, REDACTED);
+  assert.equal(entry.provider.name, 'openai');
+  assert.equal(entry.headers[0].Authorization, REDACTED);
+});